@@ -1,5 +1,4 @@
 import express from "express";
-import { GoogleGenerativeAI } from "@google/generative-ai";
 import { S3Client, PutObjectCommand } from "@aws-sdk/client-s3";
 import dotenv from "dotenv";
 import cors from "cors";
@@ -13,6 +12,9 @@ import multer from "multer";
 import * as cheerio from "cheerio";
 import Parser from "rss-parser";
 import stringSimilarity from "string-similarity";
+import { getLLMProvider } from "./src/services/llm/index.js";
+import { LLM_CONFIG } from "./src/config/llm.js";
+import { slugify } from "./src/utils/helpers.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -85,7 +87,7 @@ const rssParser = new Parser({
 });
 
 // --- VALIDATION ---
-if (!GEMINI_API_KEY || !MONGO_URI || !TWITTER_API_IO_KEY) {
+if ((LLM_CONFIG.provider === "gemini" && !GEMINI_API_KEY) || !MONGO_URI || !TWITTER_API_IO_KEY) {
     console.error("❌ CRITICAL ERROR: Missing keys in .env file.");
     process.exit(1);
 }
@@ -249,12 +251,8 @@ const Article = mongoose.models.Article ||
 
 
 
-// --- 4. GEMINI SETUP ---
-const genAI = new GoogleGenerativeAI(GEMINI_API_KEY);
-const model = genAI.getGenerativeModel({
-    model: "gemini-2.5-flash-lite",
-    generationConfig: { responseMimeType: "application/json" },
-});
+// --- 4. LLM SETUP (provider, model, temperature & timeout come from LLM_* env vars) ---
+const llm = getLLMProvider();
 
 // --- HELPER FUNCTIONS ---
 const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
@@ -290,7 +288,9 @@ async function getOrCreateTags(tagNames) {
     if (!tagNames || !Array.isArray(tagNames)) return [];
     const tagIds = [];
     for (const name of tagNames) {
-        const slug = name.toLowerCase().replace(/ /g, "-").replace(/[^\w-]+/g, "");
+        // Same slug format as src/services/tagService.js, so both paths resolve to the same tag
+        const slug = slugify(name);
+        if (!slug) continue;
         try {
             let tag = await Tag.findOne({ slug });
             if (!tag) tag = await Tag.create({ name, slug });
@@ -625,8 +625,8 @@ OUTPUT FORMAT (JSON ONLY - NO MARKDOWN)
 }
 `;
     try {
-        const result = await model.generateContent(prompt);
-        let textResp = result.response.text().replace(/```json|```/g, "").trim();
+        const { text } = await llm.generate(prompt, { json: true });
+        let textResp = text.replace(/```json|```/g, "").trim();
         return JSON.parse(textResp);
     } catch (e) {
         console.error("Gemini Error:", e.message);
@@ -6,6 +6,7 @@ import apiRoutes from "./src/routes/apiRoutes.js";
 import viewRoutes from "./src/routes/viewRoutes.js";
 import { initCronJobs } from "./src/services/workerService.js";
 import { loadSources } from "./src/services/sourceService.js";
+import { loadPromptTemplates } from "./src/services/promptService.js";
 
 // --- INITIALIZATION ---
 dotenv.config();
@@ -15,6 +16,7 @@ const PORT = process.env.PORT || 4001;
 // --- DB & CONFIG ---
 connectDB();
 await loadSources(); // Pre-load sources for schedulers
+await loadPromptTemplates();
 
 // --- MIDDLEWARE ---
 app.use(cors());
@@ -26,7 +28,7 @@ app.use("/api", apiRoutes);
 app.use("/", viewRoutes);
 
 // --- WORKERS ---
-initCronJobs();
+await initCronJobs();
 
 // --- START ---
 app.listen(PORT, () => {
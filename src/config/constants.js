@@ -0,0 +1,60 @@
+// --- QUEUE LIFECYCLE ---
+export const QUEUE_STATUSES = ["pending", "processing", "failed", "dead"];
+export const QUEUE_BATCH_SIZE = 3;
+export const QUEUE_MAX_ATTEMPTS = parseInt(process.env.QUEUE_MAX_ATTEMPTS || "5", 10);
+export const QUEUE_BACKOFF_BASE_MS = 2 * 60 * 1000; // 2m, 4m, 8m, 16m...
+export const QUEUE_BACKOFF_MAX_MS = 6 * 60 * 60 * 1000;
+
+// --- REWRITE OUTPUT ---
+export const NEWS_CATEGORIES = ["Politics", "Cinema", "Sports", "Crime", "Business", "Technology", "General"];
+export const SUMMARY_MIN_WORDS = 60;
+export const SUMMARY_MAX_WORDS = 75;
+export const ENTITY_TYPES = ["person", "place", "party", "team", "film", "organisation"];
+export const MAX_ENTITIES_PER_POST = 5;
+export const REWRITE_MAX_REPAIRS = parseInt(process.env.REWRITE_MAX_REPAIRS || "2", 10);
+
+// --- STORY CLUSTERING ---
+export const CLUSTER_WINDOW_HOURS = 48;
+export const CLUSTER_CANDIDATE_LIMIT = 300;
+export const CLUSTER_MATCH_THRESHOLD = 0.4;
+export const MAX_RELATED_STORIES = 3;
+
+// --- NEAR-DUPLICATE DETECTION ---
+export const DEDUP_WINDOW_HOURS = 72;
+export const DEDUP_SIMILARITY_THRESHOLD = 0.5;
+export const DEDUP_SNIPPET_CHARS = 300;
+
+// --- DUPLICATE RESOLUTION ---
+export const DUPLICATE_SCAN_LIMIT = 500;
+export const DUPLICATE_ACTIONS = ["unpublish", "delete"];
+
+// --- SEEN-ITEM LEDGER ---
+// "queued" until the worker reports what happened to the item
+export const SEEN_OUTCOMES = ["queued", "published", "duplicate", "rejected", "failed"];
+// Default days a ledger entry blocks re-ingestion; sources can override with `seenTtlDays`
+export const SEEN_TTL_DAYS = { rss: 30, twitter: 14, manual: 90 };
+
+// --- RSS FETCH STATE ---
+// Formats an "RSS" source can be; all are parsed into the same item shape (see feedParserService.js)
+export const FEED_TYPES = ["rss", "atom", "jsonfeed", "news-sitemap"];
+export const RSS_FETCH_TIMEOUT_MS = 10000;
+export const RSS_STALE_HOURS = 6; // no successful fetch for this long = stale
+export const RSS_BROKEN_FAILURES = 3; // consecutive failures before a feed shows as broken
+
+// --- SOURCE SCHEDULING ---
+export const DEFAULT_RSS_INTERVAL_MINUTES = 15;
+export const DEFAULT_TWITTER_INTERVAL_MINUTES = 30;
+export const DEFAULT_MAX_ITEMS_PER_FETCH = 5;
+// Active hours on sources are wall-clock hours in this zone
+export const SCHEDULE_TIMEZONE = process.env.SCHEDULE_TIMEZONE || "Asia/Kolkata";
+
+// --- TWITTER FETCH ---
+// Pages of last_tweets read per fetch while catching up to a handle's sinceId; a longer burst is
+// finished on later fetches from the stored cursor
+export const TWITTER_MAX_PAGES_PER_FETCH = parseInt(process.env.TWITTER_MAX_PAGES_PER_FETCH || "5", 10);
+
+// --- SOURCE HEALTH ---
+export const SOURCE_HEALTH_WINDOW = 50; // fetches kept per source for the metrics
+export const SOURCE_QUARANTINE_FAILURES = parseInt(process.env.SOURCE_QUARANTINE_FAILURES || "10", 10);
+export const SOURCE_DEGRADED_SUCCESS_RATE = 0.8;
+export const SOURCE_DEGRADED_DUPLICATE_RATIO = 0.9;
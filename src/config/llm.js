@@ -0,0 +1,26 @@
+import dotenv from "dotenv";
+dotenv.config();
+
+// --- LLM PROVIDER CONFIG ---
+// LLM_PROVIDER: "gemini" (default) | "openai" (any OpenAI-compatible server, e.g. llama.cpp / Ollama) | "mock"
+const provider = (process.env.LLM_PROVIDER || "gemini").toLowerCase();
+
+const DEFAULT_MODELS = {
+  gemini: "gemini-2.0-flash-lite",
+  openai: "llama3.1",
+  mock: "fixtures",
+};
+
+export const LLM_CONFIG = {
+  provider,
+  model: process.env.LLM_MODEL || DEFAULT_MODELS[provider],
+  temperature: parseFloat(process.env.LLM_TEMPERATURE ?? "0.7"),
+  timeoutMs: parseInt(process.env.LLM_TIMEOUT_MS || "30000", 10),
+  // Gemini
+  geminiApiKey: process.env.GEMINI_API_KEY,
+  // OpenAI-compatible
+  baseUrl: process.env.LLM_BASE_URL || "http://localhost:11434/v1",
+  apiKey: process.env.LLM_API_KEY || "",
+  // Mock
+  mockFixtures: process.env.LLM_MOCK_FIXTURES || null,
+};
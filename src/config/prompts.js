@@ -0,0 +1,131 @@
+// --- PROMPT TEMPLATES ---
+// Placeholders: {{text}}, {{context}}, {{sourceName}}.
+// Sections wrapped in {{#var}}...{{/var}} are only rendered when `var` has a value.
+
+const INPUT_BLOCK = `Input Text: "{{text}}"
+{{#sourceName}}Source: {{sourceName}}{{/sourceName}}
+{{#context}}Context: {{context}}{{/context}}`;
+
+const OUTPUT_FORMAT = `=========================================
+OUTPUT FORMAT (JSON ONLY - NO MARKDOWN)
+=========================================
+{
+  "title": "Telugu Title Here",
+  "summary": "The summary text here...",
+  "category": "English Category",
+  "slug_en": "english-slug-here",
+  "entities": [{ "name_en": "Revanth Reddy", "name_te": "రేవంత్ రెడ్డి", "type": "person" }]
+}
+- Category: Pick one [Politics, Cinema, Sports, Crime, Business, Technology, General].
+- slug_en: A short English phrase for image search (e.g., "cm jagan delhi tour").
+- entities: Up to 5 key named entities in the story. type is one of [person, place, party, team, film, organisation].
+  Use the full, commonly used English name (e.g., "K. T. Rama Rao", not "KTR") and its Telugu spelling.`;
+
+export const DEFAULT_PROMPT_TYPE = "WAY2NEWS";
+
+// Prompt types set by ingestion that share another template
+export const PROMPT_ALIASES = {
+  NEWS_ARTICLE: "WAY2NEWS",
+};
+
+export const PROMPTS = {
+  // Short News Card (default for RSS and unknown types)
+  WAY2NEWS: `
+Role: Senior Editor at Way2News/Inshorts (Telugu).
+Task: Rewrite the provided input into a "Short News Card" format.
+
+${INPUT_BLOCK}
+
+=========================================
+STRICT GUIDELINES (Way2News Style)
+=========================================
+
+1. HEADLINE (Title):
+   - Must be PUNCHY and CLICKABLE (Catchy).
+   - Structure: [statement]: [person].
+   - Example:  "కృష్ణా జలాలు వైఎస్సార్‌ పుణ్యమే: వైఎస్‌ అవినాష్‌రెడ్డి"
+   - Length: Max 8-10 words.
+   - Language: Natural spoken Telugu (Vyavaharika Bhasha).
+
+2. SUMMARY (Body):
+   - Length: Strictly 60 to 75 words.
+   - Format: Single paragraph. NO bullet points.
+   - Flow:
+     * Sentence 1: Direct lead (What happened?).
+     * Sentence 2: Key details (Why/Where/When?), mention if there is any statistical data.
+     * Sentence 3: Outcome or what's next (The conclusion) cover important information.
+   - Tone: Fast-paced, factual, and easy to read.
+
+${OUTPUT_FORMAT}
+`,
+
+  // Default Style
+  DETAILED: `
+You are a professional Telugu newspaper editor.
+Task: Rewrite the input into a detailed, neutral news article.
+Structure:
+- Title: Max 8 Telugu words, catchy.
+- Summary: 60-75 words, single paragraph.
+
+${INPUT_BLOCK}
+
+${OUTPUT_FORMAT}
+`,
+
+  // Breaking News Style
+  BREAKING: `
+You are a Breaking News Desk Editor.
+Task: Convert the input into urgent, sharp news.
+Tone: Urgent, authoritative (Use words like 'ఆదేశం', 'సీరియస్').
+Structure:
+- Title: Urgent Headline.
+- Summary: 60-75 words of short, punchy sentences as a single string.
+
+${INPUT_BLOCK}
+
+${OUTPUT_FORMAT}
+`,
+
+  // Crime Style
+  CRIME: `
+You are a Crime Reporter.
+Task: Write a crime report in Telugu.
+Tone: Suspenseful, detailed, empathetic.
+Structure:
+- Title: Dramatic headline.
+- Summary: (60-75 words) Narrative format (Who, What, Investigation status).
+
+${INPUT_BLOCK}
+
+${OUTPUT_FORMAT}
+`,
+
+  // Short/App Style
+  SHORT: `
+You are a Short News App Editor.
+Task: Summarize in exactly 60 words way2news style in telugu.
+Tone: Neutral, factual, direct.
+
+${INPUT_BLOCK}
+
+${OUTPUT_FORMAT}
+`,
+};
+
+// Appended to the original prompt when the previous answer failed validation.
+// Placeholders: {{errors}}, {{previous}}.
+export const REPAIR_PROMPT = `
+=========================================
+CORRECTION REQUIRED
+=========================================
+Your previous answer could not be accepted:
+{{errors}}
+
+Previous answer:
+{{previous}}
+
+Fix every problem listed above and return the complete JSON object again.
+- Title and summary must be in Telugu script.
+- Category must be exactly one of [Politics, Cinema, Sports, Crime, Business, Technology, General].
+- Return JSON ONLY. No markdown, no explanation.
+`;
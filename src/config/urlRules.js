@@ -0,0 +1,32 @@
+// --- URL CANONICALISATION RULES ---
+// Used by utils/canonicalUrl.js. Hosts are matched without www./m./amp. and against parent domains.
+
+// Query params that identify the article on CMSs we see often (?p= WordPress, ?id= / ?newsid= portals).
+export const DEFAULT_KEEP_PARAMS = ["id", "p", "articleid", "article_id", "newsid", "news_id", "storyid", "sid", "aid", "nid"];
+
+// Always dropped, even on domains that keep their whole query string
+export const TRACKING_PARAMS = ["fbclid", "gclid", "dclid", "msclkid", "igshid", "mc_cid", "mc_eid", "ref", "ref_src", "ref_url", "s", "t", "amp", "outputtype", "from", "share", "cmp", "yclid"];
+export const TRACKING_PARAM_PREFIXES = ["utm_", "ga_", "pk_", "__"];
+
+// Subdomain prefixes that serve the same article as the bare domain
+export const HOST_PREFIXES = /^(?:www\d*|m|mobile|amp)\./;
+
+/**
+ * Per-domain overrides:
+ *  - host:        rewrite the host (aliases of the same site)
+ *  - keepParams:  extra params that identify an article; "*" keeps every non-tracking param
+ */
+export const DOMAIN_RULES = {
+  "twitter.com": { host: "x.com" },
+  "fxtwitter.com": { host: "x.com" },
+  "vxtwitter.com": { host: "x.com" },
+  "youtube.com": { keepParams: ["v", "list"] },
+  "facebook.com": { keepParams: ["story_fbid", "fbid", "v"] },
+};
+
+// Redirect wrappers whose target sits in a query param
+export const REDIRECT_PARAMS = {
+  "google.com": ["url", "q"],
+  "news.google.com": ["url"],
+  "l.facebook.com": ["u"],
+};
@@ -0,0 +1,54 @@
+import { StoryCluster } from "../models/StoryCluster.js";
+import { Post } from "../models/Post.js";
+
+export const getClusters = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const filter = { postCount: { $gte: parseInt(req.query.minPosts) || 2 } };
+
+    const clusters = await StoryCluster.find(filter)
+      .sort({ lastPublishedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .select("-posts")
+      .populate("tags", "name nameTe slug")
+      .lean();
+
+    // Latest post of each cluster as its cover
+    const covers = await Post.aggregate([
+      { $match: { clusterId: { $in: clusters.map((c) => c._id) }, isPublished: true } },
+      { $sort: { publishedAt: -1 } },
+      { $group: { _id: "$clusterId", title: { $first: "$title" }, imageUrl: { $first: "$imageUrl" }, postId: { $first: "$postId" } } },
+    ]);
+    const coverMap = new Map(covers.map((c) => [c._id.toString(), c]));
+
+    const total = await StoryCluster.countDocuments(filter);
+    res.json({
+      success: true,
+      clusters: clusters.map((c) => ({ ...c, latest: coverMap.get(c._id.toString()) || null })),
+      total,
+      page,
+      totalPages: Math.ceil(total / limit),
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+export const getClusterById = async (req, res) => {
+  try {
+    const cluster = await StoryCluster.findById(req.params.id).populate("tags", "name nameTe slug").lean();
+    if (!cluster) return res.status(404).json({ success: false, error: "Cluster not found" });
+
+    // Post ids are replaced by the published posts themselves
+    const { posts: postIds, ...rest } = cluster;
+    const posts = await Post.find({ _id: { $in: postIds }, isPublished: true })
+      .sort({ publishedAt: -1 })
+      .select("title summary imageUrl url categories publishedAt sourceName postId");
+
+    res.json({ success: true, cluster: rest, posts });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
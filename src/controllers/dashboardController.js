@@ -12,13 +12,15 @@ export const getDashboardStats = async (req, res) => {
       totalPosts: await Post.countDocuments(),
       postsToday: await Post.countDocuments({ publishedAt: { $gte: today } }),
       queueLength: await Queue.countDocuments(),
+      queueFailed: await Queue.countDocuments({ status: "failed" }),
+      queueDead: await Queue.countDocuments({ status: "dead" }),
       categories: await Post.aggregate([
         { $group: { _id: { $arrayElemAt: ["$categories", 0] }, count: { $sum: 1 } } },
         { $sort: { count: -1 } },
         { $limit: 10 },
       ]),
       recentPosts: await Post.find().sort({ publishedAt: -1 }).limit(10).select("title sourceName publishedAt categories isPublished postId"),
-      queueItems: await Queue.find().sort({ queuedAt: 1 }).limit(20).select("text source queuedAt"),
+      queueItems: await Queue.find().sort({ queuedAt: 1 }).limit(20).select("text source queuedAt status attempts"),
       twitterHandles: TARGET_HANDLES.length,
       rssFeeds: RSS_FEEDS.length,
       twitterSources: await TwitterSource.find(),
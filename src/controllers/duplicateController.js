@@ -0,0 +1,51 @@
+import { PostMerge } from "../models/PostMerge.js";
+import { findDuplicateGroups, resolveDuplicates as resolveDuplicateGroup } from "../services/duplicateService.js";
+
+export const findDuplicates = async (req, res) => {
+  try {
+    const threshold = req.query.threshold ? parseFloat(req.query.threshold) : undefined;
+    const groups = await findDuplicateGroups({ threshold });
+    const count = (reason) => groups.filter((g) => g.reason === reason).length;
+
+    res.json({
+      success: true,
+      summary: {
+        totalUrlDuplicates: count("url"),
+        totalTitleDuplicates: count("title"),
+        totalFuzzyDuplicates: count("similar"),
+      },
+      groups,
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+export const resolveDuplicates = async (req, res) => {
+  try {
+    const { canonicalId, duplicateIds, action } = req.body;
+    if (!canonicalId || !Array.isArray(duplicateIds)) {
+      return res.status(400).json({ success: false, error: "canonicalId and duplicateIds are required" });
+    }
+    const { canonical, merge } = await resolveDuplicateGroup({ canonicalId, duplicateIds, action });
+    res.json({
+      success: true,
+      message: `Merged ${merge.merged.length} post(s) into "${canonical.title}"`,
+      merge,
+    });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+};
+
+export const getMerges = async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const skip = (page - 1) * limit;
+    const merges = await PostMerge.find().sort({ createdAt: -1 }).skip(skip).limit(parseInt(limit));
+    const total = await PostMerge.countDocuments();
+    res.json({ success: true, merges, total, page: parseInt(page), totalPages: Math.ceil(total / limit) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
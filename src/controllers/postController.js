@@ -1,5 +1,6 @@
 import { Post } from "../models/Post.js";
 import { generatePostId } from "../utils/helpers.js";
+import { getLengthStats } from "../utils/rewriteSchema.js";
 
 export const getPosts = async (req, res) => {
   try {
@@ -47,11 +48,11 @@ export const getPosts = async (req, res) => {
 
 export const getPostById = async (req, res) => {
   try {
-    const post = await Post.findOne({ postId: req.params.id });
+    const post = await Post.findOne({ postId: req.params.id }).populate("tags", "name nameTe slug type");
     if (!post) {
       return res.status(404).json({ success: false, error: "Post not found" });
     }
-    res.json({ success: true, post });
+    res.json({ success: true, post, lengthStats: getLengthStats(post.title, post.summary) });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
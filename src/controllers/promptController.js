@@ -0,0 +1,132 @@
+import { PromptTemplate } from "../models/PromptTemplate.js";
+import { Post } from "../models/Post.js";
+import { PROMPTS, PROMPT_ALIASES, DEFAULT_PROMPT_TYPE } from "../config/prompts.js";
+import { loadPromptTemplates, BUILTIN_VERSION } from "../services/promptService.js";
+
+export const getPrompts = async (req, res) => {
+  try {
+    const filter = req.query.name ? { name: req.query.name.trim().toUpperCase() } : {};
+    const prompts = await PromptTemplate.find(filter).sort({ name: 1, version: -1 }).lean();
+
+    // Post counts per name/version so editors can compare output across versions
+    const usage = await Post.aggregate([
+      { $match: { promptName: { $ne: null } } },
+      { $group: { _id: { name: "$promptName", version: "$promptVersion" }, count: { $sum: 1 } } },
+    ]);
+    const usageMap = new Map(usage.map((u) => [`${u._id.name}:${u._id.version}`, u.count]));
+
+    res.json({
+      success: true,
+      prompts: prompts.map((p) => ({ ...p, postCount: usageMap.get(`${p.name}:${p.version}`) || 0 })),
+      builtin: Object.keys(PROMPTS).map((name) => ({
+        name,
+        version: BUILTIN_VERSION,
+        template: PROMPTS[name],
+        postCount: usageMap.get(`${name}:${BUILTIN_VERSION}`) || 0,
+      })),
+      aliases: PROMPT_ALIASES,
+      defaultPrompt: DEFAULT_PROMPT_TYPE,
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+export const getPromptById = async (req, res) => {
+  try {
+    const prompt = await PromptTemplate.findById(req.params.id);
+    if (!prompt) return res.status(404).json({ success: false, error: "Prompt not found" });
+    res.json({ success: true, prompt });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+// Every create is a new version of `name`; existing versions are never overwritten.
+export const createPrompt = async (req, res) => {
+  try {
+    const { name, template, description, activate } = req.body;
+    if (!name || !template) return res.status(400).json({ success: false, error: "Name and template are required" });
+
+    const latest = await PromptTemplate.findOne({ name: name.trim().toUpperCase() }).sort({ version: -1 });
+    const prompt = await PromptTemplate.create({
+      name,
+      template,
+      description: description || "",
+      version: latest ? latest.version + 1 : 1,
+    });
+
+    if (activate) await activateVersion(prompt);
+    res.json({ success: true, message: `Created ${prompt.name} v${prompt.version}`, prompt });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+export const updatePrompt = async (req, res) => {
+  try {
+    const { template, description } = req.body;
+    const prompt = await PromptTemplate.findById(req.params.id);
+    if (!prompt) return res.status(404).json({ success: false, error: "Prompt not found" });
+
+    if (template !== undefined && template !== prompt.template) {
+      const used = await Post.exists({ promptName: prompt.name, promptVersion: prompt.version });
+      if (prompt.isActive || used) {
+        return res.status(400).json({ success: false, error: "This version is active or has produced posts. Save it as a new version instead." });
+      }
+      prompt.template = template;
+    }
+    if (description !== undefined) prompt.description = description;
+
+    await prompt.save();
+    res.json({ success: true, message: "Prompt updated successfully", prompt });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+export const deletePrompt = async (req, res) => {
+  try {
+    const prompt = await PromptTemplate.findById(req.params.id);
+    if (!prompt) return res.status(404).json({ success: false, error: "Prompt not found" });
+    if (prompt.isActive) return res.status(400).json({ success: false, error: "Deactivate the prompt before deleting it" });
+
+    await PromptTemplate.deleteOne({ _id: prompt._id });
+    res.json({ success: true, message: "Prompt deleted successfully" });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+async function activateVersion(prompt) {
+  await PromptTemplate.updateMany({ name: prompt.name, _id: { $ne: prompt._id } }, { $set: { isActive: false } });
+  prompt.isActive = true;
+  await prompt.save();
+  await loadPromptTemplates();
+}
+
+export const activatePrompt = async (req, res) => {
+  try {
+    const prompt = await PromptTemplate.findById(req.params.id);
+    if (!prompt) return res.status(404).json({ success: false, error: "Prompt not found" });
+
+    await activateVersion(prompt);
+    res.json({ success: true, message: `${prompt.name} v${prompt.version} is now active` });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+export const deactivatePrompt = async (req, res) => {
+  try {
+    const prompt = await PromptTemplate.findById(req.params.id);
+    if (!prompt) return res.status(404).json({ success: false, error: "Prompt not found" });
+
+    prompt.isActive = false;
+    await prompt.save();
+    await loadPromptTemplates();
+    res.json({ success: true, message: `${prompt.name} reverted to the built-in template` });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
@@ -1,20 +1,85 @@
 import { Queue } from "../models/Queue.js";
+import { Post } from "../models/Post.js";
 import mongoose from "mongoose";
+import { requeueItems } from "../services/queueService.js";
+import { seenKeys, findSeen, recordQueued } from "../services/seenService.js";
+import { queueTweetsByRef } from "../services/twitterService.js";
+import { isMergedUrl } from "../services/duplicateService.js";
+import { normalizeUrl } from "../utils/helpers.js";
+import { QUEUE_STATUSES } from "../config/constants.js";
 
 export const getQueue = async (req, res) => {
   try {
-    const queueItems = await Queue.find().sort({ queuedAt: 1 });
+    const { status } = req.query;
+    const filter = {};
+    if (status && status !== "all") {
+      if (!QUEUE_STATUSES.includes(status)) return res.status(400).json({ success: false, error: "Invalid status" });
+      filter.status = status;
+    }
+    const queueItems = await Queue.find(filter).sort({ queuedAt: 1 });
     res.json({ success: true, queue: queueItems });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 };
 
+export const getDeadLetter = async (req, res) => {
+  try {
+    const items = await Queue.find({ status: { $in: ["failed", "dead"] } })
+      .sort({ lastAttemptAt: -1 })
+      .select("id text url source status attempts lastError lastAttemptAt nextAttemptAt queuedAt");
+    const counts = {
+      failed: items.filter((i) => i.status === "failed").length,
+      dead: items.filter((i) => i.status === "dead").length,
+    };
+    res.json({ success: true, items, counts });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+export const retryQueueItem = async (req, res) => {
+  try {
+    const count = await requeueItems({ id: req.params.id });
+    if (count === 0) return res.status(404).json({ success: false, error: "No failed or dead item with this id" });
+    res.json({ success: true, message: "Item requeued" });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+export const bulkRetryQueue = async (req, res) => {
+  try {
+    const { ids, status } = req.body;
+    const filter = {};
+    if (Array.isArray(ids) && ids.length > 0) filter.id = { $in: ids };
+    else if (status === "failed" || status === "dead") filter.status = status;
+    // Every failed and dead item only when asked for explicitly, never for an empty body
+    else if (status !== "all") return res.status(400).json({ success: false, error: 'Provide an "ids" array or a status of "failed", "dead" or "all"' });
+
+    const count = await requeueItems(filter);
+    res.json({ success: true, message: `${count} items requeued`, count });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+// 409 with the ledger entry when the item was already ingested; `force` re-queues it anyway.
+async function checkSeen(keys, force) {
+  if (force) return null;
+  const seen = await findSeen(keys);
+  return seen ? { success: false, error: `Already seen (${seen.outcome}) on ${seen.firstSeenAt.toISOString()}`, seen } : null;
+}
+
 export const addToQueue = async (req, res) => {
   try {
-    const { text, title, source } = req.body;
+    const { text, title, source, force } = req.body;
     if (!text) return res.status(400).json({ success: false, error: "Text content is required" });
 
+    const keys = seenKeys({ text: title ? `${title} ${text}` : text });
+    const seenError = await checkSeen(keys, force);
+    if (seenError) return res.status(409).json(seenError);
+
     const queueItem = new Queue({
       id: new mongoose.Types.ObjectId().toString(),
       text: title ? `Title: ${title}\nContent: ${text}` : text,
@@ -26,6 +91,7 @@ export const addToQueue = async (req, res) => {
     });
 
     await queueItem.save();
+    await recordQueued(queueItem, keys, { title, source: queueItem.source, sourceType: "manual" });
     res.json({ success: true, message: "Text added to queue successfully", queueId: queueItem.id });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
@@ -34,9 +100,13 @@ export const addToQueue = async (req, res) => {
 
 export const addUrlToQueue = async (req, res) => {
   try {
-    const { content, url, title, imageUrl, source } = req.body;
+    const { content, url, title, imageUrl, source, force } = req.body;
     if (!content && !url) return res.status(400).json({ error: "No content/url" });
 
+    const keys = seenKeys({ url, text: content ? `${title || ""} ${content}` : null });
+    const seenError = await checkSeen(keys, force);
+    if (seenError) return res.status(409).json(seenError);
+
     const queueItem = {
       id: new mongoose.Types.ObjectId().toString(),
       text: title ? `Title: ${title}\nContent: ${content || ""}` : content || `Article from ${url}`,
@@ -52,13 +122,123 @@ export const addUrlToQueue = async (req, res) => {
       queuedAt: new Date(),
     };
 
-    await Queue.create(queueItem);
+    const saved = await Queue.create(queueItem);
+    await recordQueued(saved, keys, { title, source: queueItem.source, sourceType: "manual" });
     res.json({ success: true, queueId: queueItem.id });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 };
 
+const MAX_BATCH_ITEMS = 100;
+
+const countByStatus = (results) => results.reduce((acc, r) => ({ ...acc, [r.status]: (acc[r.status] || 0) + 1 }), {});
+
+// Accepts { tweetId }, { tweetIds: [...] } or { tweets: "ids/URLs separated by spaces, commas or lines" }.
+export const addTweetToQueue = async (req, res) => {
+  try {
+    const { tweetId, tweetIds, tweets, force } = req.body;
+    const inputs = [
+      ...(tweetId ? [tweetId] : []),
+      ...(Array.isArray(tweetIds) ? tweetIds : []),
+      ...(typeof tweets === "string" ? tweets.split(/[\s,]+/) : []),
+    ].map((v) => String(v).trim()).filter(Boolean);
+    if (inputs.length === 0) return res.status(400).json({ success: false, error: "At least one tweet id or URL is required" });
+    if (inputs.length > MAX_BATCH_ITEMS) return res.status(400).json({ success: false, error: `At most ${MAX_BATCH_ITEMS} tweets per request` });
+
+    const results = await queueTweetsByRef(inputs, { force: !!force });
+    const counts = countByStatus(results);
+    res.json({
+      success: (counts.queued || 0) > 0,
+      message: `Queued ${counts.queued || 0} of ${results.length} tweets`,
+      error: counts.queued ? undefined : results[0].error,
+      counts,
+      results,
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+// Normalised URL keys of everything in the queue (publisher and aggregator links), built once per request
+async function queuedUrlKeys() {
+  const queued = await Queue.find({ url: { $nin: [null, ""] } }).select("url aggregatorUrl").lean();
+  return new Set(queued.flatMap((q) => [q.url, q.aggregatorUrl]).filter(Boolean).map(normalizeUrl));
+}
+
+async function knownArticleReason(url, keys, queuedKeys) {
+  if (url) {
+    const urlKey = normalizeUrl(url);
+    if (await Post.exists({ $or: [{ canonicalUrl: urlKey }, { url }] })) return "Already posted";
+    if (queuedKeys.has(urlKey)) return "Already in queue";
+    if (await isMergedUrl(url)) return "Merged into another post";
+  }
+  const seen = await findSeen(keys);
+  return seen ? `Already seen (${seen.outcome}) on ${seen.firstSeenAt.toISOString()}` : null;
+}
+
+// Bulk articles from the RSS browser: an array (or { items, force }) of { title, summary, url, imageUrl, source, relatedStories }.
+export const addRssToQueue = async (req, res) => {
+  try {
+    const items = Array.isArray(req.body) ? req.body : req.body.items;
+    const force = !Array.isArray(req.body) && !!req.body.force;
+    if (!Array.isArray(items) || items.length === 0) return res.status(400).json({ success: false, error: "A non-empty array of items is required" });
+    if (items.length > MAX_BATCH_ITEMS) return res.status(400).json({ success: false, error: `At most ${MAX_BATCH_ITEMS} items per request` });
+
+    const results = [];
+    const batchUrls = new Set();
+    const queuedKeys = force ? null : await queuedUrlKeys();
+    for (const item of items) {
+      const result = { title: item.title, url: item.url };
+      results.push(result);
+      if (!item.title) {
+        Object.assign(result, { status: "invalid", error: "Title is required" });
+        continue;
+      }
+      const urlKey = item.url ? normalizeUrl(item.url) : null;
+      if (urlKey && batchUrls.has(urlKey)) {
+        Object.assign(result, { status: "duplicate", error: "Repeated in this request" });
+        continue;
+      }
+      if (urlKey) batchUrls.add(urlKey);
+
+      try {
+        const keys = seenKeys({ url: item.url, text: `${item.title} ${item.summary || ""}` });
+        const known = force ? null : await knownArticleReason(item.url, keys, queuedKeys);
+        if (known) {
+          Object.assign(result, { status: "duplicate", error: known });
+          continue;
+        }
+
+        const mediaObj = item.imageUrl ? [{ type: "photo", media_url_https: item.imageUrl, url: item.imageUrl }] : [];
+        const queueItem = new Queue({
+          id: new mongoose.Types.ObjectId().toString(),
+          text: `Title: ${item.title}\nSummary: ${item.summary || ""}`,
+          url: item.url,
+          imageUrl: item.imageUrl,
+          media: mediaObj,
+          relatedStories: item.relatedStories || [],
+          extendedEntities: { media: mediaObj },
+          source: item.source || "Manual",
+          promptType: "DETAILED",
+          user: { name: item.source || "Manual", screen_name: "manual" },
+          queuedAt: new Date(),
+        });
+        await queueItem.save();
+        await recordQueued(queueItem, keys, { title: item.title, source: queueItem.source, sourceType: "manual" });
+        Object.assign(result, { status: "queued", queueId: queueItem.id });
+      } catch (error) {
+        Object.assign(result, { status: "error", error: error.message });
+      }
+    }
+
+    const counts = countByStatus(results);
+    res.json({ success: true, count: counts.queued || 0, message: `Queued ${counts.queued || 0} of ${results.length} items`, counts, results });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
 export const clearQueue = async (req, res) => {
   try {
     await Queue.deleteMany({});
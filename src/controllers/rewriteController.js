@@ -0,0 +1,57 @@
+import { PromptTemplate } from "../models/PromptTemplate.js";
+import { PROMPTS } from "../config/prompts.js";
+import { runRewrite } from "../services/aiService.js";
+import { scrapeUrlContent } from "../services/scraperService.js";
+import { BUILTIN_VERSION } from "../services/promptService.js";
+
+const MAX_VARIANTS = 3;
+
+// A variant is { promptId } (a stored version or "builtin:NAME") or { promptType } (registry resolution).
+async function resolveVariant(variant) {
+  if (!variant?.promptId) return { promptType: variant?.promptType };
+
+  if (variant.promptId.startsWith("builtin:")) {
+    const name = variant.promptId.slice("builtin:".length).toUpperCase();
+    if (!PROMPTS[name]) throw new Error(`Unknown built-in prompt ${name}`);
+    return { template: PROMPTS[name], name, version: BUILTIN_VERSION };
+  }
+
+  const stored = await PromptTemplate.findById(variant.promptId);
+  if (!stored) throw new Error(`Prompt ${variant.promptId} not found`);
+  return { template: stored.template, name: stored.name, version: stored.version };
+}
+
+// Dry run: nothing is written to Post or Queue.
+export const previewRewrite = async (req, res) => {
+  try {
+    const { text, url, sourceName, promptType } = req.body;
+    if (!text && !url) return res.status(400).json({ success: false, error: "Text or URL is required" });
+
+    let variants = Array.isArray(req.body.variants) && req.body.variants.length > 0 ? req.body.variants : [{ promptType }];
+    variants = variants.slice(0, MAX_VARIANTS);
+
+    // Scrape once so every variant sees identical input
+    const scrapedContext = url ? await scrapeUrlContent(url) : null;
+    const inputText = text || `Article from ${url}`;
+
+    const results = [];
+    for (const variant of variants) {
+      try {
+        const options = await resolveVariant(variant);
+        const result = await runRewrite(inputText, url, { ...options, sourceName, scrapedContext });
+        // Show the last candidate even when it failed validation so editors can see what went wrong
+        results.push({ ...result, data: result.data || result.candidate, valid: !!result.data, warnings: result.errors });
+      } catch (e) {
+        results.push({ data: null, raw: null, prompt: null, latencyMs: 0, valid: false, error: e.message, warnings: [] });
+      }
+    }
+
+    res.json({
+      success: true,
+      input: { text: inputText, url: url || null, contextLength: scrapedContext ? scrapedContext.length : 0 },
+      results,
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
@@ -1,7 +1,10 @@
 import { TwitterSource, RSSSource } from "../models/Source.js";
 import { loadSources } from "../services/sourceService.js";
-import { fetchAndQueueRSS } from "../services/rssService.js";
+import { fetchAndQueueRSS, getFeedHealth } from "../services/rssService.js";
 import { fetchAllTwitterHandles } from "../services/twitterService.js";
+import { getSourcesHealth as loadSourcesHealth } from "../services/sourceHealthService.js";
+import { parseOpml, buildOpml, feedUrlKey } from "../services/opmlService.js";
+import { findRejections } from "../services/seenService.js";
 
 // --- HELPERS ---
 const handleSourceCRUD = async (Model, req, res, operation) => {
@@ -49,10 +52,66 @@ export const twitterController = {
 };
 
 export const rssController = {
-  getAll: (req, res) => handleSourceCRUD(RSSSource, req, res, "get"),
+  // Includes fetch state and a derived `health` so the dashboard can flag stale or broken feeds
+  getAll: async (req, res) => {
+    try {
+      const sources = await RSSSource.find().sort({ addedAt: -1 }).lean();
+      res.json({ success: true, sources: sources.map((s) => ({ ...s, health: getFeedHealth(s) })) });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  },
   add: (req, res) => handleSourceCRUD(RSSSource, req, res, "add"),
   update: (req, res) => handleSourceCRUD(RSSSource, req, res, "update"),
   delete: (req, res) => handleSourceCRUD(RSSSource, req, res, "delete"),
+
+  // Multipart upload (field "file"). Feeds whose URL already exists, or repeats within the file, are skipped.
+  importOpml: async (req, res) => {
+    try {
+      if (!req.file) return res.status(400).json({ success: false, error: "OPML file is required" });
+      const feeds = parseOpml(req.file.buffer.toString("utf8"));
+
+      const existing = await RSSSource.find().select("url").lean();
+      const knownUrls = new Set(existing.map((s) => feedUrlKey(s.url)).filter(Boolean));
+      const created = [];
+      const skipped = [];
+
+      for (const feed of feeds) {
+        const key = feedUrlKey(feed.url);
+        if (!key) {
+          skipped.push({ name: feed.name, url: feed.url, reason: "Invalid URL" });
+          continue;
+        }
+        if (knownUrls.has(key)) {
+          skipped.push({ name: feed.name, url: feed.url, reason: "Already exists" });
+          continue;
+        }
+        knownUrls.add(key);
+        created.push(await RSSSource.create({ name: feed.name, url: feed.url.trim(), type: feed.type, category: feed.category, isActive: feed.isActive }));
+      }
+
+      if (created.length > 0) await loadSources();
+      res.json({
+        success: true,
+        message: `Imported ${created.length} of ${feeds.length} feeds`,
+        created: created.map((s) => ({ _id: s._id, name: s.name, url: s.url, type: s.type, category: s.category, isActive: s.isActive })),
+        skipped,
+      });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  },
+
+  exportOpml: async (req, res) => {
+    try {
+      const sources = await RSSSource.find().sort({ category: 1, name: 1 }).lean();
+      res.set("Content-Type", "text/x-opml; charset=utf-8");
+      res.set("Content-Disposition", 'attachment; filename="rss-sources.opml"');
+      res.send(buildOpml(sources));
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  },
 };
 
 export const triggerRSS = async (req, res) => {
@@ -63,4 +122,26 @@ export const triggerRSS = async (req, res) => {
 export const triggerTwitter = async (req, res) => {
   const total = await fetchAllTwitterHandles();
   res.json({ success: true, queued_total: total });
-};
\ No newline at end of file
+};
+
+export const getSourcesHealth = async (req, res) => {
+  try {
+    const sources = await loadSourcesHealth();
+    const counts = sources.reduce((acc, s) => ({ ...acc, [s.status]: (acc[s.status] || 0) + 1 }), {});
+    res.json({ success: true, counts, sources });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+// Items dropped by filter rules; `sourceId` narrows to one RSS or Twitter source.
+export const getRejections = async (req, res) => {
+  try {
+    const { sourceId } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const items = await findRejections({ sourceId, limit });
+    res.json({ success: true, items });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
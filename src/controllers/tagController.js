@@ -0,0 +1,135 @@
+import mongoose from "mongoose";
+import { Tag } from "../models/Tag.js";
+import { Post } from "../models/Post.js";
+import { mergeTags, findDuplicateTags, getTagKeys } from "../services/tagService.js";
+import { escapeRegex } from "../utils/helpers.js";
+
+// True when following `canonicalId`'s canonical chain leads back to `tagId`.
+async function createsCanonicalCycle(tagId, canonicalId) {
+  const visited = new Set();
+  let current = canonicalId;
+  while (current && !visited.has(current.toString())) {
+    if (current.toString() === tagId.toString()) return true;
+    visited.add(current.toString());
+    current = (await Tag.findById(current).select("canonical").lean())?.canonical;
+  }
+  return false;
+}
+
+export const getTags = async (req, res) => {
+  try {
+    const { type, search, limit = 100 } = req.query;
+    const filter = {};
+    if (type && type !== "all") filter.type = type;
+    if (search) {
+      const pattern = escapeRegex(search);
+      filter.$or = [
+        { name: { $regex: pattern, $options: "i" } },
+        { nameTe: { $regex: pattern, $options: "i" } },
+      ];
+    }
+
+    const tags = await Tag.find(filter).lean();
+    const counts = await Post.aggregate([
+      { $match: { tags: { $in: tags.map((t) => t._id) } } },
+      { $unwind: "$tags" },
+      { $group: { _id: "$tags", count: { $sum: 1 }, lastPostAt: { $max: "$publishedAt" } } },
+    ]);
+    const countMap = new Map(counts.map((c) => [c._id.toString(), c]));
+
+    const result = tags
+      .map((t) => ({
+        ...t,
+        postCount: countMap.get(t._id.toString())?.count || 0,
+        lastPostAt: countMap.get(t._id.toString())?.lastPostAt || null,
+      }))
+      .sort((a, b) => b.postCount - a.postCount)
+      .slice(0, parseInt(limit));
+
+    res.json({ success: true, tags: result, total: tags.length });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+export const getTagPosts = async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const skip = (page - 1) * limit;
+
+    const tag = await Tag.findOne({ slug: req.params.slug });
+    if (!tag) return res.status(404).json({ success: false, error: "Tag not found" });
+
+    const filter = { tags: tag._id, isPublished: true };
+    const posts = await Post.find(filter)
+      .sort({ publishedAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .select("title summary imageUrl categories publishedAt sourceName postId");
+    const total = await Post.countDocuments(filter);
+
+    res.json({
+      success: true,
+      tag,
+      posts,
+      total,
+      page: parseInt(page),
+      totalPages: Math.ceil(total / limit),
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+export const updateTag = async (req, res) => {
+  try {
+    const { name, nameTe, type, aliases, canonical } = req.body;
+    const tag = await Tag.findById(req.params.id);
+    if (!tag) return res.status(404).json({ success: false, error: "Tag not found" });
+
+    if (name !== undefined) tag.name = name;
+    if (nameTe !== undefined) tag.nameTe = nameTe;
+    if (type !== undefined) tag.type = type;
+    if (Array.isArray(aliases)) tag.aliases = aliases.map((a) => String(a).trim()).filter(Boolean);
+    if (canonical !== undefined) {
+      if (canonical && !mongoose.isValidObjectId(canonical)) return res.status(400).json({ success: false, error: "Invalid canonical id" });
+      if (canonical && canonical === tag._id.toString()) return res.status(400).json({ success: false, error: "A tag cannot be its own canonical" });
+      if (canonical && !(await Tag.exists({ _id: canonical }))) return res.status(404).json({ success: false, error: "Canonical tag not found" });
+      if (canonical && (await createsCanonicalCycle(tag._id, canonical))) {
+        return res.status(400).json({ success: false, error: "The canonical tag already resolves to this tag" });
+      }
+      tag.canonical = canonical || null;
+    }
+    tag.aliasKeys = getTagKeys(tag);
+
+    await tag.save();
+    res.json({ success: true, message: "Tag updated successfully", tag });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+export const mergeTag = async (req, res) => {
+  try {
+    const { intoId } = req.body;
+    if (!intoId || intoId === req.params.id) return res.status(400).json({ success: false, error: "A different target tag (intoId) is required" });
+
+    const [loser, winner] = await Promise.all([Tag.findById(req.params.id), Tag.findById(intoId)]);
+    if (!loser || !winner) return res.status(404).json({ success: false, error: "Tag not found" });
+
+    const { postsUpdated } = await mergeTags(loser, winner);
+    res.json({ success: true, message: `Merged "${loser.name}" into "${winner.name}"`, postsUpdated, tag: winner });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+export const getDuplicateTags = async (req, res) => {
+  try {
+    const threshold = parseFloat(req.query.threshold) || 0.8;
+    const pairs = await findDuplicateTags(threshold);
+    res.json({ success: true, pairs, total: pairs.length });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
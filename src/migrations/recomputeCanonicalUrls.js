@@ -0,0 +1,52 @@
+// Recomputes Post.canonicalUrl with the current canonicalisation rules.
+// Run after changing config/urlRules.js:  npm run migrate:canonical-urls [-- --dry-run]
+// Pages are not re-fetched: the source is the stored pageCanonicalUrl (the page's own rel=canonical)
+// when there is one, else Post.url. Posts saved before pageCanonicalUrl existed may hold a page
+// canonical in canonicalUrl itself, so the rules are re-applied to that value instead of replacing it.
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import { connectDB } from "../config/db.js";
+import { Post } from "../models/Post.js";
+import { canonicalizeUrl } from "../utils/canonicalUrl.js";
+
+const BATCH_SIZE = 500;
+
+dotenv.config();
+const dryRun = process.argv.includes("--dry-run");
+await connectDB();
+
+let scanned = 0;
+let changed = 0;
+let ops = [];
+const flush = async () => {
+  if (!dryRun && ops.length > 0) await Post.bulkWrite(ops, { ordered: false });
+  ops = [];
+};
+
+function sourceUrl(post) {
+  if (post.pageCanonicalUrl) return post.pageCanonicalUrl;
+  if (post.pageCanonicalUrl === undefined && post.canonicalUrl) return post.canonicalUrl;
+  return post.url;
+}
+
+for await (const post of Post.find({ url: { $nin: [null, ""] } }).select("url canonicalUrl pageCanonicalUrl").lean().cursor()) {
+  scanned++;
+  const canonicalUrl = canonicalizeUrl(sourceUrl(post));
+  if (canonicalUrl === post.canonicalUrl) continue;
+  changed++;
+  ops.push({ updateOne: { filter: { _id: post._id }, update: { $set: { canonicalUrl } } } });
+  if (ops.length >= BATCH_SIZE) await flush();
+}
+await flush();
+
+// Posts whose URLs now collapse to the same canonical are candidates for the Duplicates section
+const collisions = await Post.aggregate([
+  { $match: { canonicalUrl: { $nin: [null, ""] } } },
+  { $group: { _id: "$canonicalUrl", count: { $sum: 1 } } },
+  { $match: { count: { $gt: 1 } } },
+  { $count: "total" },
+]);
+
+console.log(`${dryRun ? "[dry run] " : ""}Scanned ${scanned} posts, ${changed} canonical URLs ${dryRun ? "would change" : "updated"}.`);
+if (!dryRun) console.log(`Canonical URLs shared by more than one post: ${collisions[0]?.total || 0}`);
+await mongoose.disconnect();
@@ -1,10 +1,14 @@
 import mongoose from "mongoose";
+import { DEDUP_SNIPPET_CHARS } from "../config/constants.js";
+import { computeFingerprint, fingerprintText } from "../utils/dedup.js";
+import { canonicalizeUrl } from "../utils/canonicalUrl.js";
 
 const relatedStorySchema = new mongoose.Schema({
   title: { type: String, required: false },
   summary: String,
   imageUrl: String,
   url: String,
+  postId: Number,
 }, { _id: false });
 
 const postSchema = new mongoose.Schema({
@@ -13,15 +17,22 @@ const postSchema = new mongoose.Schema({
   summary: String,
   text: String,
   url: { type: String, unique: true, sparse: true },
+  // Dedup key: <link rel="canonical"> when the page declares one, else canonicalizeUrl(url)
+  canonicalUrl: { type: String, index: true },
+  // The page's declared canonical as found when scraped; null when it had none (or an untrusted one)
+  pageCanonicalUrl: String,
+  // Aggregator link the item arrived through (Google News) when `url` is the resolved publisher URL
+  aggregatorUrl: String,
   imageSearchSlug: { type: String, default: "" },
   imageUrl: String,
   videoUrl: String,
   relatedStories: [relatedStorySchema],
   media: [{
-    mediaType: { type: String, default: "image" },
+    mediaType: { type: String, default: "image" }, // image | video | gif
     url: String,
     width: Number,
     height: Number,
+    posterUrl: String, // still frame for video and gif
   }],
   sourceName: String,
   source: { type: String, default: "Manual" },
@@ -31,10 +42,31 @@ const postSchema = new mongoose.Schema({
   categories: [{ type: String, default: "General" }],
   tags: [{ type: mongoose.Schema.Types.ObjectId, ref: "Tag" }],
   publishedAt: { type: Date, default: Date.now },
+  // When the publisher released the story, and its keywords, as given by the feed
+  sourcePublishedAt: { type: Date, default: null },
+  keywords: { type: [String], default: [] },
   isPublished: { type: Boolean, default: true },
   isAINews: { type: Boolean, default: false },
   type: { type: String, default: "normal_post" },
   lang: { type: String, default: "te" },
+  clusterId: { type: mongoose.Schema.Types.ObjectId, ref: "StoryCluster", default: null, index: true },
+  promptName: String,
+  promptVersion: Number,
+  mergedInto: { type: mongoose.Schema.Types.ObjectId, ref: "Post", default: null },
+  // Near-duplicate fingerprint; copied from the source queue item when there is one (see utils/dedup.js)
+  dedup: {
+    minhash: { type: [Number], default: undefined },
+    bands: { type: [String], default: undefined, index: true },
+  },
 }, { timestamps: true, collection: "posts" });
 
+postSchema.pre("validate", function () {
+  if (this.url && (!this.canonicalUrl || (this.isModified("url") && !this.isModified("canonicalUrl")))) {
+    this.canonicalUrl = canonicalizeUrl(this.url);
+  }
+  if (this.dedup?.bands?.length) return;
+  const fingerprint = computeFingerprint(fingerprintText(this.title, this.summary, DEDUP_SNIPPET_CHARS));
+  if (fingerprint) this.dedup = fingerprint;
+});
+
 export const Post = mongoose.models.Post || mongoose.model("Post", postSchema);
\ No newline at end of file
@@ -0,0 +1,21 @@
+import mongoose from "mongoose";
+
+// Audit record of a duplicate resolution; `urls`/`tweetIds` keep the merged sources from being re-ingested.
+const postMergeSchema = new mongoose.Schema({
+  canonical: { type: mongoose.Schema.Types.ObjectId, ref: "Post", required: true },
+  canonicalPostId: Number,
+  canonicalTitle: String,
+  action: { type: String, enum: ["unpublish", "delete"], required: true },
+  merged: [{
+    post: { type: mongoose.Schema.Types.ObjectId, ref: "Post" },
+    postId: Number,
+    title: String,
+    url: String,
+    sourceName: String,
+    _id: false,
+  }],
+  urls: { type: [String], index: true },
+  tweetIds: { type: [String], index: true },
+}, { timestamps: true, collection: "post_merges" });
+
+export const PostMerge = mongoose.models.PostMerge || mongoose.model("PostMerge", postMergeSchema);
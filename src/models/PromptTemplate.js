@@ -0,0 +1,13 @@
+import mongoose from "mongoose";
+
+const promptTemplateSchema = new mongoose.Schema({
+  name: { type: String, required: true, uppercase: true, trim: true },
+  version: { type: Number, required: true },
+  template: { type: String, required: true },
+  description: { type: String, default: "" },
+  isActive: { type: Boolean, default: false },
+}, { timestamps: true });
+
+promptTemplateSchema.index({ name: 1, version: 1 }, { unique: true });
+
+export const PromptTemplate = mongoose.models.PromptTemplate || mongoose.model("PromptTemplate", promptTemplateSchema);
@@ -1,4 +1,6 @@
 import mongoose from "mongoose";
+import { QUEUE_STATUSES, DEDUP_SNIPPET_CHARS } from "../config/constants.js";
+import { computeFingerprint, fingerprintText, splitQueueText } from "../utils/dedup.js";
 
 const relatedStorySchema = new mongoose.Schema({
   title: { type: String, required: true },
@@ -11,6 +13,8 @@ const queueSchema = new mongoose.Schema({
   id: { type: String, required: true, unique: true },
   text: String,
   url: String,
+  // Aggregator link the item arrived through (Google News) when `url` is the resolved publisher URL
+  aggregatorUrl: String,
   media: Array,
   imageUrl: String,
   extendedEntities: Object,
@@ -20,8 +24,36 @@ const queueSchema = new mongoose.Schema({
   postType: { type: String, default: "normal_post" },
   promptType: { type: String, default: "DETAILED" },
   useAuthorContext: { type: Boolean, default: true },
+  // Publisher-side metadata from the feed entry (pubDate / news:publication_date, categories / news:keywords)
+  sourcePublishedAt: { type: Date, default: null },
+  keywords: { type: [String], default: [] },
+  // Further tweets of a stitched thread; `id` is the first one
+  threadTweetIds: { type: [String], default: undefined, index: true },
+  conversationId: { type: String, default: null, index: true },
   originalDbId: { type: mongoose.Schema.Types.ObjectId, default: null },
+  seenItem: { type: mongoose.Schema.Types.ObjectId, ref: "SeenItem", default: null },
   queuedAt: { type: Date, default: Date.now },
+  // Lifecycle: pending -> processing -> (deleted on success) | failed -> ... -> dead
+  status: { type: String, enum: QUEUE_STATUSES, default: "pending" },
+  attempts: { type: Number, default: 0 },
+  lastError: { type: String, default: null },
+  validationErrors: { type: [String], default: [] },
+  lastAttemptAt: { type: Date, default: null },
+  nextAttemptAt: { type: Date, default: Date.now },
+  // Near-duplicate fingerprint of title + snippet (see utils/dedup.js)
+  dedup: {
+    minhash: { type: [Number], default: undefined },
+    bands: { type: [String], default: undefined, index: true },
+  },
 });
 
-export const Queue = mongoose.models.Queue || mongoose.model("Queue", queueSchema);
\ No newline at end of file
+queueSchema.index({ status: 1, nextAttemptAt: 1 });
+
+queueSchema.pre("validate", function () {
+  if (this.dedup?.bands?.length) return;
+  const { title, snippet } = splitQueueText(this.text);
+  const fingerprint = computeFingerprint(fingerprintText(title, snippet, DEDUP_SNIPPET_CHARS));
+  if (fingerprint) this.dedup = fingerprint;
+});
+
+export const Queue = mongoose.models.Queue || mongoose.model("Queue", queueSchema);
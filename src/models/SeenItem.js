@@ -0,0 +1,24 @@
+import mongoose from "mongoose";
+import { SEEN_OUTCOMES } from "../config/constants.js";
+
+// Ingestion ledger: one entry per item ever offered to the queue, matched by any of its keys.
+const seenItemSchema = new mongoose.Schema({
+  url: { type: String, index: true, sparse: true },
+  aliasUrl: { type: String, index: true, sparse: true },
+  tweetId: { type: String, index: true, sparse: true },
+  fingerprint: { type: String, index: true, sparse: true },
+  title: String,
+  source: String,
+  // RSSSource/TwitterSource that offered the item, so rejections can be reviewed per source
+  sourceId: { type: mongoose.Schema.Types.ObjectId, index: true, sparse: true },
+  sourceType: { type: String, enum: ["rss", "twitter", "manual"], default: "manual" },
+  outcome: { type: String, enum: SEEN_OUTCOMES, default: "queued" },
+  reason: String,
+  seenCount: { type: Number, default: 1 },
+  firstSeenAt: { type: Date, default: Date.now },
+  lastSeenAt: { type: Date, default: Date.now },
+  // MongoDB removes the entry once this passes
+  expiresAt: { type: Date, index: { expireAfterSeconds: 0 } },
+}, { collection: "seen_items" });
+
+export const SeenItem = mongoose.models.SeenItem || mongoose.model("SeenItem", seenItemSchema);
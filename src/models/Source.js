@@ -1,17 +1,131 @@
 import mongoose from "mongoose";
+import {
+  DEFAULT_RSS_INTERVAL_MINUTES,
+  DEFAULT_TWITTER_INTERVAL_MINUTES,
+  DEFAULT_MAX_ITEMS_PER_FETCH,
+  SOURCE_HEALTH_WINDOW,
+  FEED_TYPES,
+} from "../config/constants.js";
+import { isValidPattern } from "../utils/sourceFilters.js";
+
+// Polling schedule (see utils/schedule.js). Active hours are [start, end) in SCHEDULE_TIMEZONE and
+// may wrap midnight (22 -> 6); null start/end means always active.
+const scheduleFields = (intervalMinutes) => ({
+  fetchIntervalMinutes: { type: Number, min: 1, default: intervalMinutes },
+  maxItemsPerFetch: { type: Number, min: 1, default: DEFAULT_MAX_ITEMS_PER_FETCH },
+  activeHours: {
+    start: { type: Number, min: 0, max: 23, default: null },
+    end: { type: Number, min: 0, max: 24, default: null },
+  },
+});
+
+// One entry per fetch, newest last, capped at SOURCE_HEALTH_WINDOW (see sourceHealthService.js)
+const fetchResultSchema = new mongoose.Schema({
+  at: { type: Date, default: Date.now },
+  ok: Boolean,
+  latencyMs: Number,
+  items: { type: Number, default: 0 }, // items the source returned
+  queued: { type: Number, default: 0 },
+  duplicates: { type: Number, default: 0 },
+  rejected: { type: Number, default: 0 }, // dropped by the source's filter rules
+  pages: Number, // API pages read (Twitter)
+  error: String,
+}, { _id: false });
+
+const patternField = { type: String, default: null, validate: { validator: isValidPattern, message: "Invalid regular expression: {VALUE}" } };
+
+// Include/exclude rules applied before queueing (see utils/sourceFilters.js); empty = accept everything
+const filterRulesSchema = new mongoose.Schema({
+  includeKeywords: { type: [String], default: [] },
+  excludeKeywords: { type: [String], default: [] },
+  titlePattern: patternField,
+  excludeTitlePattern: patternField,
+  excludeUrlPatterns: {
+    type: [String],
+    default: [],
+    validate: { validator: (patterns) => patterns.every(isValidPattern), message: "Invalid regular expression in URL patterns" },
+  },
+  excludeCategories: { type: [String], default: [] },
+  minContentLength: { type: Number, min: 0, default: null },
+  languages: { type: [String], default: [] }, // e.g. ["te"]; empty = any language
+}, { _id: false });
+
+// How a handle's replies, retweets, quotes and threads are turned into queue items (see utils/tweets.js)
+const tweetTypesSchema = new mongoose.Schema({
+  skipReplies: { type: Boolean, default: true }, // replies to other accounts; self-replies are threads
+  retweets: { type: String, enum: ["keep", "skip", "unwrap"], default: "unwrap" },
+  includeQuotes: { type: Boolean, default: true },
+  stitchThreads: { type: Boolean, default: true },
+}, { _id: false });
+
+const healthFields = () => ({
+  lastSuccessAt: { type: Date, default: null },
+  lastError: { type: String, default: null },
+  consecutiveFailures: { type: Number, default: 0 },
+  recentFetches: { type: [fetchResultSchema], default: [] },
+  quarantinedAt: { type: Date, default: null },
+  quarantineReason: { type: String, default: null },
+});
+
+// Reactivating a source by hand lifts its quarantine and gives it a clean failure streak
+function clearQuarantineOnReactivate() {
+  if (!this.isNew && this.isModified("isActive") && this.isActive && this.quarantinedAt) {
+    Object.assign(this, { quarantinedAt: null, quarantineReason: null, consecutiveFailures: 0 });
+  }
+}
 
 const twitterSourceSchema = new mongoose.Schema({
   handle: { type: String, required: true, unique: true },
   isActive: { type: Boolean, default: true },
   addedAt: { type: Date, default: Date.now },
+  seenTtlDays: { type: Number, default: null }, // null = SEEN_TTL_DAYS default for the source type
+  ...scheduleFields(DEFAULT_TWITTER_INTERVAL_MINUTES),
+  filters: { type: filterRulesSchema, default: () => ({}) },
+  tweetTypes: { type: tweetTypesSchema, default: () => ({}) },
+  lastFetchedAt: { type: Date, default: null },
+  // Incremental fetch state, maintained by twitterService: the newest tweet processed, and while a
+  // burst is still being paged through, the API cursor to resume from and the id it pages back to
+  sinceId: { type: String, default: null },
+  cursor: { type: String, default: null },
+  backfillUntilId: { type: String, default: null },
+  ...healthFields(),
 });
 
 const rssSourceSchema = new mongoose.Schema({
   name: { type: String, required: true },
   url: { type: String, required: true, unique: true },
+  type: { type: String, enum: FEED_TYPES, default: "rss" },
+  category: { type: String, default: null }, // free-form grouping, e.g. the OPML folder
   isActive: { type: Boolean, default: true },
   addedAt: { type: Date, default: Date.now },
+  seenTtlDays: { type: Number, default: null }, // null = SEEN_TTL_DAYS default for the source type
+  ...scheduleFields(DEFAULT_RSS_INTERVAL_MINUTES),
+  filters: { type: filterRulesSchema, default: () => ({}) },
+  // Fetch state, maintained by rssService for conditional GETs
+  etag: { type: String, default: null },
+  lastModified: { type: String, default: null },
+  lastFetchedAt: { type: Date, default: null },
+  lastStatus: { type: String, enum: ["ok", "not_modified", "unchanged", "error", null], default: null },
+  lastItemGuid: { type: String, default: null },
+  ...healthFields(),
+});
+
+// A new URL or type is a different feed: drop validators so the next fetch is unconditional
+rssSourceSchema.pre("save", function () {
+  if (!this.isNew && (this.isModified("url") || this.isModified("type"))) {
+    Object.assign(this, { etag: null, lastModified: null, lastItemGuid: null, consecutiveFailures: 0 });
+  }
 });
 
+// Another handle's tweet ids mean nothing for this one
+twitterSourceSchema.pre("save", function () {
+  if (!this.isNew && this.isModified("handle")) {
+    Object.assign(this, { sinceId: null, cursor: null, backfillUntilId: null, consecutiveFailures: 0 });
+  }
+});
+
+twitterSourceSchema.pre("save", clearQuarantineOnReactivate);
+rssSourceSchema.pre("save", clearQuarantineOnReactivate);
+
 export const TwitterSource = mongoose.models.TwitterSource || mongoose.model("TwitterSource", twitterSourceSchema);
 export const RSSSource = mongoose.models.RSSSource || mongoose.model("RSSSource", rssSourceSchema);
\ No newline at end of file
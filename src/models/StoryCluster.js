@@ -0,0 +1,12 @@
+import mongoose from "mongoose";
+
+const storyClusterSchema = new mongoose.Schema({
+  title: String,
+  posts: [{ type: mongoose.Schema.Types.ObjectId, ref: "Post" }],
+  tags: [{ type: mongoose.Schema.Types.ObjectId, ref: "Tag" }],
+  postCount: { type: Number, default: 0 },
+  firstPublishedAt: Date,
+  lastPublishedAt: { type: Date, index: true },
+}, { timestamps: true, collection: "story_clusters" });
+
+export const StoryCluster = mongoose.models.StoryCluster || mongoose.model("StoryCluster", storyClusterSchema);
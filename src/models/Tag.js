@@ -3,6 +3,13 @@ import mongoose from "mongoose";
 const tagSchema = new mongoose.Schema({
   name: { type: String, required: true, unique: true },
   slug: { type: String, required: true, unique: true },
+  nameTe: { type: String, default: "" },
+  type: { type: String, default: "other" },
+  aliases: { type: [String], default: [] },
+  // Transliterated, punctuation-free forms of name/nameTe/aliases used for lookups (see tagService.tagKey)
+  aliasKeys: { type: [String], default: [], index: true },
+  // Set when this tag is a variant of another; new posts are tagged with the canonical tag instead
+  canonical: { type: mongoose.Schema.Types.ObjectId, ref: "Tag", default: null },
 }, { timestamps: true });
 
-export const Tag = mongoose.models.Tag || mongoose.model("Tag", tagSchema);
\ No newline at end of file
+export const Tag = mongoose.models.Tag || mongoose.model("Tag", tagSchema);
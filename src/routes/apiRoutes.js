@@ -1,10 +1,20 @@
 import express from "express";
+import multer from "multer";
 import * as dashboardCtrl from "../controllers/dashboardController.js";
 import * as postCtrl from "../controllers/postController.js";
 import * as queueCtrl from "../controllers/queueController.js";
 import * as sourceCtrl from "../controllers/sourceController.js";
+import * as promptCtrl from "../controllers/promptController.js";
+import * as rewriteCtrl from "../controllers/rewriteController.js";
+import * as tagCtrl from "../controllers/tagController.js";
+import * as clusterCtrl from "../controllers/clusterController.js";
+import * as duplicateCtrl from "../controllers/duplicateController.js";
 
 const router = express.Router();
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 2 * 1024 * 1024 } });
+// Upload errors (file too large, unexpected field) answer in the API's JSON shape, not Express's HTML page
+const uploadFile = (field) => (req, res, next) =>
+  upload.single(field)(req, res, (err) => (err ? res.status(400).json({ success: false, error: err.message }) : next()));
 
 // Dashboard Stats
 router.get("/dashboard-stats", dashboardCtrl.getDashboardStats);
@@ -18,12 +28,33 @@ router.post("/posts/:id/toggle-publish", postCtrl.togglePublish);
 router.post("/posts/bulk-update", postCtrl.bulkUpdatePosts);
 router.post("/create-manual-posts", postCtrl.createManualPosts);
 
+// Tags
+router.get("/tags", tagCtrl.getTags);
+router.get("/tags/duplicates", tagCtrl.getDuplicateTags);
+router.get("/tags/:slug/posts", tagCtrl.getTagPosts);
+router.put("/tags/:id", tagCtrl.updateTag);
+router.post("/tags/:id/merge", tagCtrl.mergeTag);
+
+// Story Clusters
+router.get("/clusters", clusterCtrl.getClusters);
+router.get("/clusters/:id", clusterCtrl.getClusterById);
+
+// Duplicates
+router.get("/find-duplicates", duplicateCtrl.findDuplicates);
+router.post("/duplicates/resolve", duplicateCtrl.resolveDuplicates);
+router.get("/duplicates/merges", duplicateCtrl.getMerges);
+
 // Queue
 router.get("/queue", queueCtrl.getQueue);
+router.get("/queue/dead-letter", queueCtrl.getDeadLetter);
+router.post("/queue/bulk-retry", queueCtrl.bulkRetryQueue);
+router.post("/queue/:id/retry", queueCtrl.retryQueueItem);
 router.post("/clear-queue", queueCtrl.clearQueue);
 router.delete("/queue/:id", queueCtrl.deleteQueueItem);
 router.post("/add-text-to-queue", queueCtrl.addToQueue);
 router.post("/add-content-to-queue", queueCtrl.addUrlToQueue);
+router.post("/add-tweet-to-queue", queueCtrl.addTweetToQueue);
+router.post("/add-rss-to-queue", queueCtrl.addRssToQueue);
 
 // Twitter Sources
 router.get("/twitter-sources", sourceCtrl.twitterController.getAll);
@@ -34,9 +65,27 @@ router.get("/trigger-auto-fetch", sourceCtrl.triggerTwitter);
 
 // RSS Sources
 router.get("/rss-sources", sourceCtrl.rssController.getAll);
+router.get("/rss-sources/export.opml", sourceCtrl.rssController.exportOpml);
+router.post("/rss-sources/import", uploadFile("file"), sourceCtrl.rssController.importOpml);
 router.post("/rss-sources", sourceCtrl.rssController.add);
 router.put("/rss-sources/:id", sourceCtrl.rssController.update);
 router.delete("/rss-sources/:id", sourceCtrl.rssController.delete);
 router.get("/trigger-rss-fetch", sourceCtrl.triggerRSS);
 
+// Source Health
+router.get("/sources/health", sourceCtrl.getSourcesHealth);
+router.get("/sources/rejections", sourceCtrl.getRejections);
+
+// Prompt Templates
+router.get("/prompts", promptCtrl.getPrompts);
+router.post("/prompts", promptCtrl.createPrompt);
+router.get("/prompts/:id", promptCtrl.getPromptById);
+router.put("/prompts/:id", promptCtrl.updatePrompt);
+router.delete("/prompts/:id", promptCtrl.deletePrompt);
+router.post("/prompts/:id/activate", promptCtrl.activatePrompt);
+router.post("/prompts/:id/deactivate", promptCtrl.deactivatePrompt);
+
+// Rewrite Playground
+router.post("/rewrite/preview", rewriteCtrl.previewRewrite);
+
 export default router;
\ No newline at end of file
@@ -1,64 +1,66 @@
-import { GoogleGenerativeAI } from "@google/generative-ai";
 import { scrapeUrlContent } from "./scraperService.js";
-import dotenv from "dotenv";
-dotenv.config();
+import { buildPrompt, renderPrompt } from "./promptService.js";
+import { getLLMProvider } from "./llm/index.js";
+import { REPAIR_PROMPT } from "../config/prompts.js";
+import { REWRITE_MAX_REPAIRS } from "../config/constants.js";
+import { parseModelJson, validateRewrite, isSummaryLengthError, fitSummaryLength } from "../utils/rewriteSchema.js";
 
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-const model = genAI.getGenerativeModel({
-  model: "gemini-2.0-flash-lite", // Updated model name from original prompt implies 2.0 or 1.5, adjusted for safety
-  generationConfig: { responseMimeType: "application/json" },
-});
+/**
+ * Runs one rewrite and reports everything about the call (used by the worker and the playground).
+ * Output is validated against the rewrite schema and the model is re-asked with the list of
+ * problems up to REWRITE_MAX_REPAIRS times. `data` is only set when the output is valid.
+ * Pass `template` (with `name`/`version`) to try a specific prompt instead of the registry's pick,
+ * and `scrapedContext` to reuse an already scraped page.
+ */
+export const runRewrite = async (text, tweetUrl, { promptType, sourceName, template, name, version, scrapedContext } = {}) => {
+  const context = scrapedContext !== undefined ? scrapedContext : tweetUrl ? await scrapeUrlContent(tweetUrl) : null;
+  const vars = { text, context, sourceName };
+  const built = template ? { name, version, prompt: renderPrompt(template, vars) } : buildPrompt(promptType, vars);
+  const prompt = { name: built.name, version: built.version };
+  const llm = getLLMProvider();
+  const model = `${llm.name}:${llm.model}`;
 
-export const formatTweetWithGemini = async (text, tweetUrl) => {
-  const scrapedContext = tweetUrl ? await scrapeUrlContent(tweetUrl) : null;
+  const startedAt = Date.now();
+  let raw = null;
+  let candidate = null;
+  let errors = [];
+  let attempts = 0;
 
-  const prompt = `
-Role: Senior Editor at Way2News/Inshorts (Telugu).
-Task: Rewrite the provided input into a "Short News Card" format.
-
-Input Text: "${text}"
-${scrapedContext ? `Context: ${scrapedContext}` : ""}
-
-=========================================
-STRICT GUIDELINES (Way2News Style)
-=========================================
-
-1. HEADLINE (Title):
-   - Must be PUNCHY and CLICKABLE (Catchy).
-   - Structure: [statement]: [person].
-   - Example:  "కృష్ణా జలాలు వైఎస్సార్‌ పుణ్యమే: వైఎస్‌ అవినాష్‌రెడ్డి"
-   - Length: Max 8-10 words.
-   - Language: Natural spoken Telugu (Vyavaharika Bhasha).
+  try {
+    let request = built.prompt;
+    while (attempts <= REWRITE_MAX_REPAIRS) {
+      attempts++;
+      ({ text: raw } = await llm.generate(request, { json: true }));
 
-2. SUMMARY (Body):
-   - Length: Strictly 60 to 75 words.
-   - Format: Single paragraph. NO bullet points.
-   - Flow:
-     * Sentence 1: Direct lead (What happened?).
-     * Sentence 2: Key details (Why/Where/When?), mention if there is any statistical data.
-     * Sentence 3: Outcome or what's next (The conclusion) cover important information.
-   - Tone: Fast-paced, factual, and easy to read.
+      const parsed = parseModelJson(raw);
+      const result = parsed.data ? validateRewrite(parsed.data) : { valid: false, errors: [parsed.error], value: null };
+      candidate = result.value;
+      errors = result.errors;
+      if (result.valid) {
+        return { data: result.value, raw, prompt, model, attempts, errors: [], latencyMs: Date.now() - startedAt, error: null };
+      }
 
-3. METADATA:
-   - Category: Pick one [Politics, Cinema, Sports, Crime, Business, Technology, General].
-   - Slug: Create a short English word for image search (e.g., "cm jagan delhi tour").
+      console.warn(`   🔧 Rewrite attempt ${attempts} invalid: ${errors.join("; ")}`);
+      request = `${built.prompt}\n${renderPrompt(REPAIR_PROMPT, { errors: errors.map((e) => `- ${e}`).join("\n"), previous: raw })}`;
+    }
 
-=========================================
-OUTPUT FORMAT (JSON ONLY - NO MARKDOWN)
-=========================================
-{
-  "title": "Telugu Title Here",
-  "summary": "The 60-word summary text here...",
-  "category": "English Category",
-  "slug_en": "english-slug-here"
-}
-`;
-  try {
-    const result = await model.generateContent(prompt);
-    let textResp = result.response.text().replace(/```json|```/g, "").trim();
-    return JSON.parse(textResp);
+    // Regeneration did not fix an over-long summary: trim whole sentences if that lands in range
+    if (candidate && errors.length === 1 && isSummaryLengthError(errors[0])) {
+      const fitted = fitSummaryLength(candidate.summary);
+      if (fitted) {
+        console.log("   ✂️ Trimmed summary to fit the word range");
+        return { data: { ...candidate, summary: fitted }, raw, prompt, model, attempts, errors: [], latencyMs: Date.now() - startedAt, error: null };
+      }
+    }
+    return { data: null, candidate, raw, prompt, model, attempts, errors, latencyMs: Date.now() - startedAt, error: "Validation failed" };
   } catch (e) {
-    console.error("Gemini Error:", e.message);
-    return null;
+    console.error("LLM Error:", e.message);
+    return { data: null, candidate, raw, prompt, model, attempts, errors, latencyMs: Date.now() - startedAt, error: e.message };
   }
-};
\ No newline at end of file
+};
+
+export const formatTweetWithGemini = async (text, tweetUrl, { promptType, sourceName, scrapedContext } = {}) => {
+  const { data, prompt, errors, error } = await runRewrite(text, tweetUrl, { promptType, sourceName, scrapedContext });
+  console.log(`   📝 Prompt: ${prompt.name} v${prompt.version}`);
+  return { data, prompt, errors, error };
+};
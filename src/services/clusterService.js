@@ -0,0 +1,83 @@
+import stringSimilarity from "string-similarity";
+import { Post } from "../models/Post.js";
+import { StoryCluster } from "../models/StoryCluster.js";
+import {
+  CLUSTER_WINDOW_HOURS,
+  CLUSTER_CANDIDATE_LIMIT,
+  CLUSTER_MATCH_THRESHOLD,
+  MAX_RELATED_STORIES,
+} from "../config/constants.js";
+
+const normalizeText = (text) => String(text || "").toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, " ").replace(/\s+/g, " ").trim();
+
+function tagOverlap(a = [], b = []) {
+  if (a.length === 0 || b.length === 0) return 0;
+  const setA = new Set(a.map(String));
+  const shared = b.filter((id) => setA.has(String(id))).length;
+  return shared / new Set([...setA, ...b.map(String)]).size;
+}
+
+// Weighted mix of title similarity, summary similarity and shared tags (0..1).
+export function scorePostPair(a, b) {
+  const titleSim = stringSimilarity.compareTwoStrings(normalizeText(a.title), normalizeText(b.title));
+  const summarySim = a.summary && b.summary ? stringSimilarity.compareTwoStrings(normalizeText(a.summary), normalizeText(b.summary)) : 0;
+  return 0.45 * titleSim + 0.25 * summarySim + 0.3 * tagOverlap(a.tags, b.tags);
+}
+
+const toRelatedStory = (p) => ({ title: p.title, summary: p.summary, imageUrl: p.imageUrl, url: p.url, postId: p.postId });
+
+async function addToCluster(cluster, posts) {
+  const ids = posts.map((p) => p._id);
+  const tags = posts.flatMap((p) => p.tags || []);
+  const dates = posts.map((p) => p.publishedAt || new Date());
+  const updated = await StoryCluster.findByIdAndUpdate(
+    cluster._id,
+    {
+      $addToSet: { posts: { $each: ids }, tags: { $each: tags } },
+      $min: { firstPublishedAt: new Date(Math.min(...dates)) },
+      $max: { lastPublishedAt: new Date(Math.max(...dates)) },
+    },
+    { new: true }
+  );
+  updated.postCount = updated.posts.length;
+  await updated.save();
+  await Post.updateMany({ _id: { $in: ids } }, { $set: { clusterId: updated._id } });
+  return updated;
+}
+
+/**
+ * Puts a freshly published post into the cluster of its best-matching recent post (creating one
+ * when that post had none), then fills its relatedStories with the closest earlier cluster posts.
+ * Returns the cluster, or null when nothing in the window is similar enough.
+ */
+export async function assignToCluster(post) {
+  const since = new Date(Date.now() - CLUSTER_WINDOW_HOURS * 60 * 60 * 1000);
+  const candidates = await Post.find({ _id: { $ne: post._id }, publishedAt: { $gte: since } })
+    .sort({ publishedAt: -1 })
+    .limit(CLUSTER_CANDIDATE_LIMIT)
+    .select("title summary imageUrl url postId tags clusterId publishedAt");
+
+  const scored = candidates
+    .map((c) => ({ post: c, score: scorePostPair(post, c) }))
+    .filter((s) => s.score >= CLUSTER_MATCH_THRESHOLD)
+    .sort((a, b) => b.score - a.score);
+  if (scored.length === 0) return null;
+
+  const best = scored[0].post;
+  let cluster = best.clusterId ? await StoryCluster.findById(best.clusterId) : null;
+  if (!cluster) cluster = await StoryCluster.create({ title: best.title, posts: [], tags: [], firstPublishedAt: best.publishedAt });
+  cluster = await addToCluster(cluster, best.clusterId ? [post] : [best, post]);
+
+  const clusterIds = new Set(cluster.posts.map(String));
+  const existingTitles = new Set((post.relatedStories || []).map((r) => r.title));
+  const related = scored
+    .filter((s) => clusterIds.has(String(s.post._id)) && s.post.publishedAt <= (post.publishedAt || new Date()))
+    .filter((s) => !existingTitles.has(s.post.title))
+    .slice(0, MAX_RELATED_STORIES)
+    .map((s) => toRelatedStory(s.post));
+
+  if (related.length > 0) {
+    await Post.updateOne({ _id: post._id }, { $push: { relatedStories: { $each: related } } });
+  }
+  return cluster;
+}
@@ -0,0 +1,33 @@
+import { Post } from "../models/Post.js";
+import { Queue } from "../models/Queue.js";
+import { computeFingerprint, fingerprintSimilarity } from "../utils/dedup.js";
+import { DEDUP_WINDOW_HOURS, DEDUP_SIMILARITY_THRESHOLD } from "../config/constants.js";
+
+/**
+ * Looks for a post or queued item from the last `hours` whose fingerprint shares an LSH band
+ * with `fingerprint` and is at least `threshold` similar. Only band matches are loaded, so this
+ * is an index lookup rather than a scan. Returns { kind, id, title, url, similarity } or null.
+ */
+export async function findNearDuplicate(fingerprint, { hours = DEDUP_WINDOW_HOURS, threshold = DEDUP_SIMILARITY_THRESHOLD, excludeIds = [] } = {}) {
+  if (!fingerprint?.bands?.length) return null;
+  const since = new Date(Date.now() - hours * 60 * 60 * 1000);
+  const bandFilter = { "dedup.bands": { $in: fingerprint.bands }, _id: { $nin: excludeIds } };
+
+  const [posts, queued] = await Promise.all([
+    Post.find({ ...bandFilter, publishedAt: { $gte: since } }).select("title url dedup.minhash").lean(),
+    Queue.find({ ...bandFilter, queuedAt: { $gte: since } }).select("text url dedup.minhash").lean(),
+  ]);
+
+  let best = null;
+  const consider = (kind, doc, title) => {
+    const similarity = fingerprintSimilarity(fingerprint.minhash, doc.dedup?.minhash);
+    if (similarity >= threshold && (!best || similarity > best.similarity)) {
+      best = { kind, id: doc._id, title, url: doc.url, similarity };
+    }
+  };
+  posts.forEach((p) => consider("post", p, p.title));
+  queued.forEach((q) => consider("queue", q, q.text.split("\n")[0].replace("Title: ", "")));
+  return best;
+}
+
+export const findNearDuplicateOfText = (text, options) => findNearDuplicate(computeFingerprint(text), options);
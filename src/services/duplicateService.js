@@ -0,0 +1,203 @@
+import { Post } from "../models/Post.js";
+import { PostMerge } from "../models/PostMerge.js";
+import { StoryCluster } from "../models/StoryCluster.js";
+import { normalizeUrl } from "../utils/helpers.js";
+import { fingerprintSimilarity } from "../utils/dedup.js";
+import { DEDUP_SIMILARITY_THRESHOLD, DUPLICATE_SCAN_LIMIT, DUPLICATE_ACTIONS } from "../config/constants.js";
+
+const COMPARE_FIELDS = "postId title summary imageUrl videoUrl url canonicalUrl twitterUrl tweetId sourceName categories tags media relatedStories publishedAt isPublished";
+const ACTIVE_FILTER = { mergedInto: null };
+
+async function groupByField(field, reason = field) {
+  const groups = await Post.aggregate([
+    { $match: { ...ACTIVE_FILTER, [field]: { $nin: [null, ""] } } },
+    { $group: { _id: `$${field}`, ids: { $push: "$_id" }, count: { $sum: 1 } } },
+    { $match: { count: { $gt: 1 } } },
+    { $sort: { count: -1 } },
+  ]);
+  return groups.map((g) => ({ reason, key: g._id, similarity: 1, ids: g.ids }));
+}
+
+// Posts sharing an LSH band are compared pairwise; similar pairs are joined into groups (union-find).
+async function groupBySimilarity(threshold) {
+  const posts = await Post.find({ ...ACTIVE_FILTER, "dedup.bands.0": { $exists: true } })
+    .sort({ publishedAt: -1 })
+    .limit(DUPLICATE_SCAN_LIMIT)
+    .select("dedup")
+    .lean();
+
+  const parent = new Map(posts.map((p) => [String(p._id), String(p._id)]));
+  const find = (id) => (parent.get(id) === id ? id : find(parent.get(id)));
+  const best = new Map();
+
+  const buckets = new Map();
+  for (const post of posts) {
+    for (const band of post.dedup.bands) {
+      if (!buckets.has(band)) buckets.set(band, []);
+      buckets.get(band).push(post);
+    }
+  }
+
+  const compared = new Set();
+  for (const bucket of buckets.values()) {
+    for (let i = 0; i < bucket.length; i++) {
+      for (let j = i + 1; j < bucket.length; j++) {
+        const [a, b] = [String(bucket[i]._id), String(bucket[j]._id)];
+        const pairKey = a < b ? `${a}|${b}` : `${b}|${a}`;
+        if (compared.has(pairKey)) continue;
+        compared.add(pairKey);
+
+        const similarity = fingerprintSimilarity(bucket[i].dedup.minhash, bucket[j].dedup.minhash);
+        if (similarity < threshold) continue;
+        const [rootA, rootB] = [find(a), find(b)];
+        if (rootA !== rootB) parent.set(rootB, rootA);
+        best.set(find(a), Math.max(best.get(rootA) || 0, best.get(rootB) || 0, similarity));
+      }
+    }
+  }
+
+  const groups = new Map();
+  for (const id of parent.keys()) {
+    const root = find(id);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(id);
+  }
+  return [...groups.entries()]
+    .filter(([, ids]) => ids.length > 1)
+    .map(([root, ids]) => ({ reason: "similar", key: null, similarity: best.get(root) || threshold, ids }));
+}
+
+/**
+ * Reports unresolved duplicate groups (same URL, same title, or near-duplicate fingerprint) with the
+ * fields needed to compare them side by side. A set of posts is only reported under its first reason.
+ */
+export async function findDuplicateGroups({ threshold = DEDUP_SIMILARITY_THRESHOLD } = {}) {
+  const candidates = [...(await groupByField("canonicalUrl", "url")), ...(await groupByField("title")), ...(await groupBySimilarity(threshold))];
+
+  const seen = new Set();
+  const groups = candidates.filter((g) => {
+    const key = g.ids.map(String).sort().join("|");
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+
+  const posts = await Post.find({ _id: { $in: groups.flatMap((g) => g.ids) } }).select(COMPARE_FIELDS).lean();
+  const postMap = new Map(posts.map((p) => [String(p._id), p]));
+
+  return groups.map((g) => ({
+    reason: g.reason,
+    key: g.key,
+    similarity: g.similarity,
+    // Oldest first: the earliest post is usually the one to keep
+    posts: g.ids
+      .map((id) => postMap.get(String(id)))
+      .filter(Boolean)
+      .sort((a, b) => new Date(a.publishedAt) - new Date(b.publishedAt)),
+  }));
+}
+
+const storyKey = (s) => normalizeUrl(s.url) || s.title;
+
+function mergeInto(canonical, duplicates) {
+  const excludedPostIds = new Set([canonical.postId, ...duplicates.map((d) => d.postId)]);
+  const storyKeys = new Set(canonical.relatedStories.map(storyKey));
+  for (const story of duplicates.flatMap((d) => d.relatedStories || [])) {
+    if (excludedPostIds.has(story.postId) || storyKeys.has(storyKey(story))) continue;
+    storyKeys.add(storyKey(story));
+    canonical.relatedStories.push(story);
+  }
+
+  const tagIds = new Set(canonical.tags.map(String));
+  for (const tag of duplicates.flatMap((d) => d.tags || [])) {
+    if (!tagIds.has(String(tag))) {
+      tagIds.add(String(tag));
+      canonical.tags.push(tag);
+    }
+  }
+
+  const mediaUrls = new Set(canonical.media.map((m) => m.url));
+  for (const media of duplicates.flatMap((d) => d.media || [])) {
+    if (media.url && !mediaUrls.has(media.url)) {
+      mediaUrls.add(media.url);
+      canonical.media.push(media);
+    }
+  }
+
+  const donor = (field) => duplicates.find((d) => d[field])?.[field];
+  if (!canonical.imageUrl) canonical.imageUrl = donor("imageUrl");
+  if (!canonical.videoUrl) canonical.videoUrl = donor("videoUrl");
+}
+
+async function detachFromClusters(postIds) {
+  const clusters = await StoryCluster.find({ posts: { $in: postIds } });
+  for (const cluster of clusters) {
+    cluster.posts = cluster.posts.filter((id) => !postIds.some((p) => p.equals(id)));
+    cluster.postCount = cluster.posts.length;
+    await cluster.save();
+  }
+}
+
+/**
+ * Keeps `canonicalId`, folds related stories, tags and media from `duplicateIds` into it, then
+ * unpublishes or deletes the duplicates. Related-story links to the duplicates are repointed to the
+ * canonical post, and their URLs/tweet ids are recorded so they are never ingested again.
+ */
+export async function resolveDuplicates({ canonicalId, duplicateIds, action = "unpublish" }) {
+  if (!DUPLICATE_ACTIONS.includes(action)) throw new Error(`Action must be one of: ${DUPLICATE_ACTIONS.join(", ")}`);
+  const ids = [...new Set((duplicateIds || []).map(String))];
+  if (ids.includes(String(canonicalId))) throw new Error("The canonical post cannot also be listed as a duplicate");
+  if (ids.length === 0) throw new Error("At least one duplicate post is required");
+
+  const canonical = await Post.findById(canonicalId);
+  if (!canonical) throw new Error("Canonical post not found");
+  if (canonical.mergedInto) throw new Error(`Canonical post was already merged into ${canonical.mergedInto}`);
+  const duplicates = await Post.find({ _id: { $in: ids } });
+  if (duplicates.length !== ids.length) throw new Error("Some duplicate posts were not found");
+  // A second merge would leave two PostMerge records pointing the same URLs at different posts
+  const alreadyMerged = duplicates.filter((d) => d.mergedInto);
+  if (alreadyMerged.length > 0) throw new Error(`Already merged: ${alreadyMerged.map((d) => d.postId ?? d._id).join(", ")}`);
+
+  mergeInto(canonical, duplicates);
+  await canonical.save();
+
+  const duplicateObjectIds = duplicates.map((d) => d._id);
+  const duplicatePostIds = duplicates.map((d) => d.postId).filter((id) => id != null);
+  await Post.updateMany(
+    { _id: { $ne: canonical._id }, "relatedStories.postId": { $in: duplicatePostIds } },
+    {
+      $set: {
+        "relatedStories.$[story].postId": canonical.postId,
+        "relatedStories.$[story].title": canonical.title,
+        "relatedStories.$[story].url": canonical.url,
+      },
+    },
+    { arrayFilters: [{ "story.postId": { $in: duplicatePostIds } }] }
+  );
+
+  if (action === "delete") {
+    await Post.deleteMany({ _id: { $in: duplicateObjectIds } });
+    await detachFromClusters(duplicateObjectIds);
+  } else {
+    await Post.updateMany({ _id: { $in: duplicateObjectIds } }, { $set: { isPublished: false, mergedInto: canonical._id } });
+  }
+
+  const merge = await PostMerge.create({
+    canonical: canonical._id,
+    canonicalPostId: canonical.postId,
+    canonicalTitle: canonical.title,
+    action,
+    merged: duplicates.map((d) => ({ post: d._id, postId: d.postId, title: d.title, url: d.url, sourceName: d.sourceName })),
+    urls: [...new Set(duplicates.flatMap((d) => [d.url, d.canonicalUrl, d.twitterUrl]).filter(Boolean).map(normalizeUrl))],
+    tweetIds: duplicates.map((d) => d.tweetId).filter(Boolean),
+  });
+
+  return { canonical, merge };
+}
+
+export async function isMergedUrl(url) {
+  if (!url) return false;
+  return !!(await PostMerge.exists({ urls: normalizeUrl(url) }));
+}
+
+export const getMergedTweetIds = (tweetIds) => PostMerge.distinct("tweetIds", { tweetIds: { $in: tweetIds } });
@@ -0,0 +1,132 @@
+import Parser from "rss-parser";
+import * as cheerio from "cheerio";
+
+// --- FEED PARSING ---
+// Every source type is reduced to the same item shape so ingestion doesn't care where it came from:
+// { guid, link, title, contentSnippet, publishedAt, imageUrl, keywords, itemSource }
+
+const rssParser = new Parser({
+  customFields: {
+    item: [
+      ["media:content", "mediaContent"],
+      ["media:thumbnail", "mediaThumbnail"],
+      ["content:encoded", "contentEncoded"],
+      ["source", "itemSource"],
+      // rss-parser drops Atom's <category term="..."/>; read the raw elements instead
+      ["category", "rawCategories", { keepArray: true }],
+    ],
+  },
+});
+
+// Accept header per type; sitemaps and JSON feeds are rarely served with feed content types.
+export const FEED_ACCEPT = {
+  rss: "application/rss+xml, application/xml, text/xml, */*",
+  atom: "application/atom+xml, application/xml, text/xml, */*",
+  jsonfeed: "application/feed+json, application/json, */*",
+  "news-sitemap": "application/xml, text/xml, */*",
+};
+
+const toDate = (value) => {
+  const date = value ? new Date(value) : null;
+  return date && !isNaN(date) ? date : null;
+};
+
+const stripHtml = (html) => (html ? cheerio.load(html).text().replace(/\s+/g, " ").trim() : "");
+
+const splitKeywords = (value) =>
+  [...new Set(String(value || "").split(",").map((k) => k.trim()).filter(Boolean))];
+
+function extractRSSImage(item) {
+  if (item.enclosure && item.enclosure.url) return item.enclosure.url;
+  if (item.mediaContent && item.mediaContent.$ && item.mediaContent.$.url) return item.mediaContent.$.url;
+  if (item.mediaThumbnail && item.mediaThumbnail.$ && item.mediaThumbnail.$.url) return item.mediaThumbnail.$.url;
+  if (item.contentEncoded || item.content) {
+    const html = item.contentEncoded || item.content;
+    const $ = cheerio.load(html);
+    const firstImg = $("img").first().attr("src");
+    if (firstImg) return firstImg;
+  }
+  return null;
+}
+
+// RSS <category>text</category> (optionally with a domain attribute) or Atom <category term="..."/>
+const categoryName = (c) => (typeof c === "string" ? c : c?._ || c?.$?.term || c?.$?.label || "").trim();
+
+// rss-parser reads both RSS 2.0 and Atom; Atom entries come back with `id` and `isoDate` the same way.
+async function parseRssOrAtom(body) {
+  const feed = await rssParser.parseString(body);
+  return feed.items.map((item) => ({
+    guid: item.guid || item.id || item.link || null,
+    link: item.link,
+    title: item.title,
+    contentSnippet: item.contentSnippet || item.summary || "",
+    publishedAt: toDate(item.isoDate || item.pubDate),
+    imageUrl: extractRSSImage(item),
+    keywords: [...new Set((item.rawCategories || item.categories || []).map(categoryName).filter(Boolean))],
+    itemSource: item.itemSource,
+  }));
+}
+
+// https://www.jsonfeed.org/version/1.1/
+function parseJsonFeed(body) {
+  const feed = typeof body === "string" ? JSON.parse(body) : body;
+  if (!Array.isArray(feed?.items)) throw new Error("Not a JSON Feed (no items array)");
+  return feed.items.map((item) => ({
+    guid: item.id != null ? String(item.id) : item.url || null,
+    link: item.url || item.external_url,
+    title: item.title || "",
+    contentSnippet: item.summary || item.content_text || stripHtml(item.content_html),
+    publishedAt: toDate(item.date_published || item.date_modified),
+    imageUrl: item.image || item.banner_image || null,
+    keywords: Array.isArray(item.tags) ? item.tags.map(String) : [],
+    itemSource: null,
+  }));
+}
+
+// Google News sitemap: <url><loc/><news:news>...</news:news><image:image><image:loc/></image:image></url>.
+function parseNewsSitemap(body) {
+  const $ = cheerio.load(body, { xml: true });
+  if ($("urlset").length === 0) throw new Error("Not a sitemap (no urlset)");
+
+  return $("urlset > url")
+    .toArray()
+    .map((el) => {
+      const entry = $(el);
+      const news = entry.find("news\\:news").first();
+      const link = entry.children("loc").first().text().trim();
+      return {
+        guid: link || null,
+        link,
+        title: news.find("news\\:title").first().text().trim(),
+        contentSnippet: "",
+        publishedAt: toDate(news.find("news\\:publication_date").first().text().trim() || entry.children("lastmod").text().trim()),
+        imageUrl: entry.find("image\\:image > image\\:loc").first().text().trim() || null,
+        keywords: splitKeywords(news.find("news\\:keywords").first().text()),
+        itemSource: news.find("news\\:publication > news\\:name").first().text().trim() || null,
+      };
+    })
+    .filter((item) => item.link && item.title);
+}
+
+async function parseByType(type, body) {
+  switch (type || "rss") {
+    case "rss":
+    case "atom":
+      return parseRssOrAtom(body);
+    case "jsonfeed":
+      return parseJsonFeed(body);
+    case "news-sitemap":
+      return parseNewsSitemap(body);
+    default:
+      throw new Error(`Unknown feed type: ${type}`);
+  }
+}
+
+/**
+ * Parses a fetched feed body of the given source `type` into normalised items, newest first. Feeds
+ * and sitemaps don't promise an order; undated items keep their document order after dated ones.
+ */
+export async function parseFeedItems(type, body) {
+  const items = await parseByType(type, body);
+  return items.sort((a, b) => (b.publishedAt?.getTime() || 0) - (a.publishedAt?.getTime() || 0));
+}
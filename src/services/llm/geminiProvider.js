@@ -0,0 +1,23 @@
+import { GoogleGenerativeAI } from "@google/generative-ai";
+
+export function createGeminiProvider({ geminiApiKey, model, temperature, timeoutMs }) {
+  const genAI = new GoogleGenerativeAI(geminiApiKey);
+
+  const getModel = (json) =>
+    genAI.getGenerativeModel(
+      {
+        model,
+        generationConfig: { temperature, ...(json ? { responseMimeType: "application/json" } : {}) },
+      },
+      { timeout: timeoutMs }
+    );
+
+  return {
+    name: "gemini",
+    model,
+    async generate(prompt, { json = true } = {}) {
+      const result = await getModel(json).generateContent(prompt);
+      return { text: result.response.text() };
+    },
+  };
+}
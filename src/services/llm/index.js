@@ -0,0 +1,22 @@
+import { LLM_CONFIG } from "../../config/llm.js";
+import { createGeminiProvider } from "./geminiProvider.js";
+import { createOpenAICompatibleProvider } from "./openAICompatibleProvider.js";
+import { createMockProvider } from "./mockProvider.js";
+
+const PROVIDERS = {
+  gemini: createGeminiProvider,
+  openai: createOpenAICompatibleProvider,
+  mock: createMockProvider,
+};
+
+let provider = null;
+
+export function getLLMProvider() {
+  if (!provider) {
+    const factory = PROVIDERS[LLM_CONFIG.provider];
+    if (!factory) throw new Error(`Unknown LLM_PROVIDER "${LLM_CONFIG.provider}". Use one of: ${Object.keys(PROVIDERS).join(", ")}`);
+    provider = factory(LLM_CONFIG);
+    console.log(`🤖 LLM Provider: ${provider.name} (${provider.model})`);
+  }
+  return provider;
+}
@@ -0,0 +1,29 @@
+import axios from "axios";
+
+// Works with OpenAI itself and local servers exposing /v1/chat/completions (llama.cpp, Ollama, vLLM...)
+export function createOpenAICompatibleProvider({ baseUrl, apiKey, model, temperature, timeoutMs }) {
+  const endpoint = `${baseUrl.replace(/\/$/, "")}/chat/completions`;
+
+  return {
+    name: "openai",
+    model,
+    async generate(prompt, { json = true } = {}) {
+      const { data } = await axios.post(
+        endpoint,
+        {
+          model,
+          temperature,
+          messages: [{ role: "user", content: prompt }],
+          ...(json ? { response_format: { type: "json_object" } } : {}),
+        },
+        {
+          headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+          timeout: timeoutMs,
+        }
+      );
+      const text = data?.choices?.[0]?.message?.content;
+      if (typeof text !== "string") throw new Error("Empty completion from LLM server");
+      return { text };
+    },
+  };
+}
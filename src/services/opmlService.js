@@ -0,0 +1,85 @@
+import * as cheerio from "cheerio";
+import { FEED_TYPES } from "../config/constants.js";
+
+// --- OPML ---
+// Feeds are <outline type="rss" xmlUrl="..."> elements; folders are outlines without xmlUrl, and
+// the folder path (or an explicit category attribute) becomes the source category. Non-RSS sources
+// keep type="rss" for other readers and carry their real type in a feedType attribute.
+
+const escapeXml = (value) =>
+  String(value ?? "").replace(/[<>&"']/g, (ch) => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", '"': "&quot;", "'": "&apos;" })[ch]);
+
+// Feed URL as a dedup key: parsed and re-serialised, without a trailing slash; null if not http(s).
+export function feedUrlKey(url) {
+  try {
+    const parsed = new URL(String(url).trim());
+    if (!/^https?:$/.test(parsed.protocol)) return null;
+    parsed.hash = "";
+    return parsed.toString().replace(/\/$/, "");
+  } catch (e) {
+    return null;
+  }
+}
+
+/** Returns [{ name, url, type, category, isActive }] for every outline with an xmlUrl. */
+export function parseOpml(xml) {
+  const $ = cheerio.load(xml, { xml: true });
+  if ($("opml").length === 0) throw new Error("Not an OPML document");
+
+  const feeds = [];
+  $("outline[xmlUrl], outline[xmlurl]").each((i, el) => {
+    const outline = $(el);
+    const url = (outline.attr("xmlUrl") || outline.attr("xmlurl") || "").trim();
+    const folders = outline
+      .parents("outline")
+      .toArray()
+      .reverse()
+      .map((parent) => $(parent).attr("text") || $(parent).attr("title"))
+      .filter(Boolean);
+    const type = String(outline.attr("feedType") || outline.attr("type") || "").toLowerCase();
+
+    feeds.push({
+      name: (outline.attr("title") || outline.attr("text") || url).trim(),
+      url,
+      type: FEED_TYPES.includes(type) ? type : "rss",
+      category: (outline.attr("category") || folders.join("/") || "").trim() || null,
+      isActive: outline.attr("isActive") !== "false",
+    });
+  });
+  return feeds;
+}
+
+/** OPML 2.0 for `sources`, grouped into folders by category; inactive feeds carry isActive="false". */
+export function buildOpml(sources, { title = "RSS Sources" } = {}) {
+  const outline = (s) =>
+    `<outline type="rss" text="${escapeXml(s.name)}" title="${escapeXml(s.name)}" xmlUrl="${escapeXml(s.url)}"` +
+    `${s.type && s.type !== "rss" ? ` feedType="${escapeXml(s.type)}"` : ""}` +
+    `${s.category ? ` category="${escapeXml(s.category)}"` : ""}${s.isActive ? "" : ' isActive="false"'} />`;
+
+  const groups = new Map();
+  for (const source of sources) {
+    const key = source.category || "";
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(source);
+  }
+
+  const body = [...groups.entries()]
+    .map(([category, items]) =>
+      category
+        ? `    <outline text="${escapeXml(category)}">\n${items.map((s) => `      ${outline(s)}`).join("\n")}\n    </outline>`
+        : items.map((s) => `    ${outline(s)}`).join("\n")
+    )
+    .join("\n");
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<opml version="2.0">
+  <head>
+    <title>${escapeXml(title)}</title>
+    <dateCreated>${new Date().toUTCString()}</dateCreated>
+  </head>
+  <body>
+${body}
+  </body>
+</opml>
+`;
+}
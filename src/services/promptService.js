@@ -0,0 +1,45 @@
+import { PromptTemplate } from "../models/PromptTemplate.js";
+import { PROMPTS, PROMPT_ALIASES, DEFAULT_PROMPT_TYPE } from "../config/prompts.js";
+
+// Built-in templates from config are version 0; active DB versions override them by name.
+export const BUILTIN_VERSION = 0;
+
+// In-memory storage for rapid access
+export let ACTIVE_PROMPTS = {};
+
+export async function loadPromptTemplates() {
+  try {
+    const active = await PromptTemplate.find({ isActive: true });
+    ACTIVE_PROMPTS = Object.fromEntries(active.map((p) => [p.name, { name: p.name, version: p.version, template: p.template }]));
+    console.log(`✅ Loaded ${active.length} active prompt templates`);
+  } catch (error) {
+    console.error("Error loading prompt templates:", error);
+  }
+}
+
+// Maps a queue item's promptType to a known template name, falling back to the default.
+export function resolvePromptName(promptType) {
+  const key = String(promptType || "").trim().toUpperCase();
+  if (ACTIVE_PROMPTS[key] || PROMPTS[key]) return key;
+  if (PROMPT_ALIASES[key]) return PROMPT_ALIASES[key];
+  if (key) console.warn(`   ⚠️ Unknown promptType "${promptType}". Using ${DEFAULT_PROMPT_TYPE}.`);
+  return DEFAULT_PROMPT_TYPE;
+}
+
+export function resolvePrompt(promptType) {
+  const name = resolvePromptName(promptType);
+  return ACTIVE_PROMPTS[name] || { name, version: BUILTIN_VERSION, template: PROMPTS[name] };
+}
+
+export function renderPrompt(template, vars = {}) {
+  return template
+    .replace(/\{\{#(\w+)\}\}([\s\S]*?)\{\{\/\1\}\}/g, (_, name, inner) => (vars[name] ? inner : ""))
+    .replace(/\{\{(\w+)\}\}/g, (_, name) => (vars[name] ?? "").toString())
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+export function buildPrompt(promptType, vars) {
+  const { name, version, template } = resolvePrompt(promptType);
+  return { name, version, prompt: renderPrompt(template, vars) };
+}
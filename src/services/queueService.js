@@ -0,0 +1,65 @@
+import { Queue } from "../models/Queue.js";
+import { markSeenOutcome, resetSeenOutcomes } from "./seenService.js";
+import { QUEUE_BATCH_SIZE, QUEUE_MAX_ATTEMPTS, QUEUE_BACKOFF_BASE_MS, QUEUE_BACKOFF_MAX_MS } from "../config/constants.js";
+
+// Items queued before the lifecycle fields existed have no status/nextAttemptAt.
+const READY_FILTER = () => ({
+  $and: [
+    { $or: [{ status: { $in: ["pending", "failed"] } }, { status: { $exists: false } }] },
+    { $or: [{ nextAttemptAt: { $lte: new Date() } }, { nextAttemptAt: { $exists: false } }] },
+  ],
+});
+
+export const getBackoffMs = (attempts) => Math.min(QUEUE_BACKOFF_BASE_MS * 2 ** Math.max(attempts - 1, 0), QUEUE_BACKOFF_MAX_MS);
+
+// Atomically moves up to `limit` ready items into "processing" so overlapping worker runs never pick the same item.
+export async function claimBatch(limit = QUEUE_BATCH_SIZE) {
+  const claimed = [];
+  while (claimed.length < limit) {
+    const item = await Queue.findOneAndUpdate(
+      READY_FILTER(),
+      { $set: { status: "processing", lastAttemptAt: new Date() } },
+      { sort: { queuedAt: 1 }, new: true }
+    );
+    if (!item) break;
+    claimed.push(item);
+  }
+  return claimed;
+}
+
+// `validationErrors` lists schema problems with the model output when that was the cause.
+export async function markFailed(item, error, { validationErrors = [] } = {}) {
+  const attempts = (item.attempts || 0) + 1;
+  const isDead = attempts >= QUEUE_MAX_ATTEMPTS;
+  const update = {
+    status: isDead ? "dead" : "failed",
+    attempts,
+    lastError: String(error?.message || error || "Unknown error").substring(0, 1000),
+    validationErrors,
+    nextAttemptAt: isDead ? null : new Date(Date.now() + getBackoffMs(attempts)),
+  };
+  await Queue.updateOne({ _id: item._id }, { $set: update });
+  // The ledger keeps a dead item from being re-ingested even after it is cleared from the queue
+  if (isDead) await markSeenOutcome(item, "failed", update.lastError);
+  return update;
+}
+
+export async function markDone(item) {
+  await Queue.deleteOne({ _id: item._id });
+}
+
+// Resets items left in "processing" by a crash or restart.
+export async function releaseStaleClaims() {
+  const result = await Queue.updateMany({ status: "processing" }, { $set: { status: "pending" } });
+  return result.modifiedCount;
+}
+
+export async function requeueItems(filter) {
+  const retryFilter = { status: { $in: ["failed", "dead"] }, ...filter };
+  await resetSeenOutcomes(await Queue.find(retryFilter).distinct("seenItem"));
+  const result = await Queue.updateMany(
+    retryFilter,
+    { $set: { status: "pending", attempts: 0, lastError: null, validationErrors: [], nextAttemptAt: new Date() } }
+  );
+  return result.modifiedCount;
+}
@@ -1,38 +1,88 @@
-import Parser from "rss-parser";
-import stringSimilarity from "string-similarity";
+import axios from "axios";
 import mongoose from "mongoose";
-import * as cheerio from "cheerio";
 import { Post } from "../models/Post.js";
 import { Queue } from "../models/Queue.js";
+import { RSSSource } from "../models/Source.js";
 import { RSS_FEEDS } from "./sourceService.js";
+import { findNearDuplicate } from "./dedupService.js";
+import { isMergedUrl } from "./duplicateService.js";
+import { seenKeys, findSeen, recordSeen, recordQueued } from "./seenService.js";
+import { isGoogleNewsUrl, resolveGoogleNewsUrl, extractPublisher } from "./googleNewsService.js";
+import { recordFetchResult } from "./sourceHealthService.js";
+import { parseFeedItems, FEED_ACCEPT } from "./feedParserService.js";
 import { normalizeUrl } from "../utils/helpers.js";
+import { computeFingerprint, fingerprintText } from "../utils/dedup.js";
+import { evaluateFilters } from "../utils/sourceFilters.js";
+import {
+  DEDUP_SNIPPET_CHARS,
+  RSS_FETCH_TIMEOUT_MS,
+  RSS_STALE_HOURS,
+  RSS_BROKEN_FAILURES,
+  DEFAULT_MAX_ITEMS_PER_FETCH,
+} from "../config/constants.js";
 
-const rssParser = new Parser({
-  customFields: {
-    item: [
-      ["media:content", "mediaContent"],
-      ["media:thumbnail", "mediaThumbnail"],
-      ["content:encoded", "contentEncoded"],
-    ],
-  },
-});
-
-function extractRSSImage(item) {
-  if (item.enclosure && item.enclosure.url) return item.enclosure.url;
-  if (item.mediaContent && item.mediaContent.$ && item.mediaContent.$.url) return item.mediaContent.$.url;
-  if (item.mediaThumbnail && item.mediaThumbnail.$ && item.mediaThumbnail.$.url) return item.mediaThumbnail.$.url;
-  if (item.contentEncoded || item.content) {
-    const html = item.contentEncoded || item.content;
-    const $ = cheerio.load(html);
-    const firstImg = $("img").first().attr("src");
-    if (firstImg) return firstImg;
+/**
+ * Conditional GET using the feed's stored ETag/Last-Modified. Returns { status: "not_modified" }
+ * on 304, otherwise { status: "ok", items, etag, lastModified } with items parsed for the source's type.
+ */
+async function fetchFeed(feedSource) {
+  const headers = { "User-Agent": "Mozilla/5.0 (compatible; TeluguNewsBot/1.0)", Accept: FEED_ACCEPT[feedSource.type] || FEED_ACCEPT.rss };
+  if (feedSource.etag) headers["If-None-Match"] = feedSource.etag;
+  if (feedSource.lastModified) headers["If-Modified-Since"] = feedSource.lastModified;
+
+  const res = await axios.get(feedSource.url, {
+    headers,
+    timeout: RSS_FETCH_TIMEOUT_MS,
+    responseType: "text",
+    validateStatus: (status) => status === 304 || (status >= 200 && status < 300),
+  });
+  if (res.status === 304) return { status: "not_modified" };
+
+  // A moved or parked feed often answers 200 with an HTML page
+  const contentType = String(res.headers["content-type"] || "");
+  if (contentType.includes("text/html") && !/^\s*<\?xml|<rss|<feed|<urlset/i.test(String(res.data).slice(0, 500))) {
+    throw new Error(`Expected a feed but got ${contentType} (HTTP ${res.status})`);
+  }
+  const items = await parseFeedItems(feedSource.type, res.data);
+  return { status: "ok", items, etag: res.headers.etag || null, lastModified: res.headers["last-modified"] || null };
+}
+
+// Records the fetch for health metrics and mirrors feed state onto the in-memory feed so the
+// next cycle sends the right headers.
+async function saveFeedState(feedSource, state, result) {
+  Object.assign(feedSource, state);
+  if (feedSource.id) await recordFetchResult(RSSSource, feedSource.id, result, state);
+}
+
+// "never" (not fetched yet), "broken" (failing repeatedly), "stale" (no success for RSS_STALE_HOURS) or "ok".
+export function getFeedHealth(source) {
+  if (!source.lastFetchedAt) return "never";
+  if (source.consecutiveFailures >= RSS_BROKEN_FAILURES) return "broken";
+  if (!source.lastSuccessAt || Date.now() - new Date(source.lastSuccessAt).getTime() > RSS_STALE_HOURS * 60 * 60 * 1000) return "stale";
+  return "ok";
+}
+
+// Google News items link to news.google.com: swap in the publisher's URL, name and clean title,
+// keeping the Google link as `aggregatorUrl`. Unresolvable links keep the Google URL.
+async function resolveFeedItem(item, feedSource) {
+  if (!isGoogleNewsUrl(item.link)) {
+    return { url: item.link, aggregatorUrl: null, title: item.title, sourceName: feedSource.name };
   }
-  return null;
+  const publisher = extractPublisher(item);
+  const resolved = await resolveGoogleNewsUrl(item.link);
+  if (!resolved) console.log(`   ⚠️ Could not resolve Google News link: ${item.link}`);
+  return {
+    url: resolved || item.link,
+    aggregatorUrl: resolved ? item.link : null,
+    title: publisher.title,
+    sourceName: publisher.name || feedSource.name,
+  };
 }
 
 let isRSSFetching = false;
 
-export async function fetchAndQueueRSS() {
+// Fetches `feeds` (all active feeds by default; the scheduler passes only the due ones).
+export async function fetchAndQueueRSS(feeds = RSS_FEEDS) {
   if (isRSSFetching) {
     console.log("⚠️ RSS Fetch running. Skipping.");
     return 0;
@@ -45,62 +95,110 @@ export async function fetchAndQueueRSS() {
   try {
     const recentPosts = await Post.find({
       publishedAt: { $gte: new Date(Date.now() - 72 * 60 * 60 * 1000) },
-    }).select("title url");
-    const recentQueue = await Queue.find().select("text url");
-
-    const existingTitles = [
-      ...recentPosts.map((p) => p.title),
-      ...recentQueue.map((q) => q.text.split("\n")[0].replace("Title: ", "")),
-    ].filter(Boolean);
+    }).select("url canonicalUrl aggregatorUrl");
+    const recentQueue = await Queue.find().select("url aggregatorUrl");
 
     const existingUrls = new Set([
-      ...recentPosts.map((p) => normalizeUrl(p.url)),
+      ...recentPosts.map((p) => p.canonicalUrl || normalizeUrl(p.url)),
       ...recentQueue.map((q) => normalizeUrl(q.url)),
+      ...[...recentPosts, ...recentQueue].filter((d) => d.aggregatorUrl).map((d) => normalizeUrl(d.aggregatorUrl)),
     ]);
+    const isKnownUrl = async (url) => existingUrls.has(normalizeUrl(url)) || (await isMergedUrl(url));
 
-    for (const feedSource of RSS_FEEDS) {
+    for (const feedSource of feeds) {
+      const startedAt = Date.now();
+      const stats = { items: 0, queued: 0, duplicates: 0, rejected: 0 };
       try {
-        const feed = await rssParser.parseURL(feedSource.url);
-        const items = feed.items.slice(0, 5);
+        const result = await fetchFeed(feedSource);
+        const latencyMs = Date.now() - startedAt;
+        if (result.status === "not_modified") {
+          await saveFeedState(feedSource, { lastStatus: "not_modified" }, { ok: true, latencyMs });
+          continue;
+        }
+
+        const { etag, lastModified } = result;
+        const newestGuid = result.items.length > 0 ? result.items[0].guid : null;
+        // Servers without validators still get skipped when the newest item hasn't changed
+        if (newestGuid && newestGuid === feedSource.lastItemGuid) {
+          await saveFeedState(feedSource, { lastStatus: "unchanged", etag, lastModified }, { ok: true, latencyMs });
+          continue;
+        }
+
+        const items = result.items.slice(0, feedSource.maxItemsPerFetch || DEFAULT_MAX_ITEMS_PER_FETCH);
+        stats.items = items.length;
 
         for (const item of items) {
-          const cleanLink = normalizeUrl(item.link);
-          if (existingUrls.has(cleanLink)) continue;
+          // Check the feed's own link first so known Google News items cost no resolution requests
+          if ((await isKnownUrl(item.link)) || (await findSeen(seenKeys({ url: item.link })))) {
+            stats.duplicates++;
+            continue;
+          }
+          const { url, aggregatorUrl, title, sourceName } = await resolveFeedItem(item, feedSource);
+          if (aggregatorUrl && (await isKnownUrl(url))) {
+            stats.duplicates++;
+            continue;
+          }
+
+          const dedupText = fingerprintText(title, item.contentSnippet, DEDUP_SNIPPET_CHARS);
+          const keys = seenKeys({ url, aliasUrl: aggregatorUrl, text: dedupText });
+          if (await findSeen(keys)) {
+            stats.duplicates++;
+            continue;
+          }
+          const seenOptions = { title, source: sourceName, sourceId: feedSource.id, sourceType: "rss", ttlDays: feedSource.seenTtlDays };
 
-          let isDuplicate = false;
-          if (existingTitles.length > 0) {
-            const matches = stringSimilarity.findBestMatch(item.title, existingTitles);
-            if (matches.bestMatch.rating > 0.65) isDuplicate = true;
+          // Rejections stay in the ledger so the same item isn't re-evaluated on every fetch
+          const rejection = evaluateFilters(feedSource.filters, { title, text: item.contentSnippet, url, categories: item.keywords });
+          if (rejection) {
+            stats.rejected++;
+            await recordSeen(keys, { ...seenOptions, outcome: "rejected", reason: rejection });
+            continue;
           }
 
-          if (!isDuplicate) {
-            const extractedImage = extractRSSImage(item);
+          // Items queued earlier in this cycle are already saved, so the lookup sees them too
+          const fingerprint = computeFingerprint(dedupText);
+          const duplicate = await findNearDuplicate(fingerprint);
+
+          if (duplicate) {
+            stats.duplicates++;
+            await recordSeen(keys, { ...seenOptions, outcome: "duplicate", reason: `Similar to ${duplicate.kind} ${duplicate.id}` });
+          } else {
+            const extractedImage = item.imageUrl;
             const mediaObj = extractedImage
               ? [{ type: "photo", media_url_https: extractedImage, url: extractedImage }]
               : [];
 
             const newItem = new Queue({
               id: new mongoose.Types.ObjectId().toString(),
-              text: `Title: ${item.title}\nSummary: ${item.contentSnippet || ""}`,
-              url: item.link,
+              text: `Title: ${title}\nSummary: ${item.contentSnippet || ""}`,
+              url,
+              aggregatorUrl,
               imageUrl: extractedImage,
               media: mediaObj,
               extendedEntities: { media: mediaObj },
-              source: feedSource.name,
-              user: { name: feedSource.name, screen_name: "RSS_Feed" },
+              source: sourceName,
+              user: { name: sourceName, screen_name: "RSS_Feed" },
               postType: "normal_post",
               promptType: "NEWS_ARTICLE",
+              sourcePublishedAt: item.publishedAt,
+              keywords: item.keywords,
               queuedAt: new Date(),
+              dedup: fingerprint,
             });
 
             await newItem.save();
-            existingTitles.push(item.title);
-            existingUrls.add(cleanLink);
+            await recordQueued(newItem, keys, seenOptions);
+            existingUrls.add(normalizeUrl(url));
+            if (aggregatorUrl) existingUrls.add(normalizeUrl(aggregatorUrl));
             totalQueued++;
+            stats.queued++;
           }
         }
+
+        await saveFeedState(feedSource, { lastStatus: "ok", etag, lastModified, lastItemGuid: newestGuid }, { ok: true, latencyMs, ...stats });
       } catch (err) {
         console.error(`   ❌ Failed to fetch ${feedSource.name}: ${err.message}`);
+        await saveFeedState(feedSource, { lastStatus: "error" }, { ok: false, latencyMs: Date.now() - startedAt, error: err, ...stats });
       }
     }
   } catch (e) {
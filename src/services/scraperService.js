@@ -1,8 +1,32 @@
 import axios from "axios";
 import * as cheerio from "cheerio";
+import { trustedCanonicalUrl } from "../utils/canonicalUrl.js";
 
-export const scrapeUrlContent = async (url) => {
-  if (!url || url.includes("twitter.com") || url.includes("x.com")) return null;
+// <link rel="canonical"> (or og:url) resolved against the page URL; null if absent or not plausibly
+// this article's URL (see trustedCanonicalUrl).
+function extractPageCanonicalUrl($, pageUrl) {
+  const href = $('link[rel="canonical"]').attr("href") || $('meta[property="og:url"]').attr("content");
+  if (!href) return null;
+  try {
+    const resolved = new URL(href.trim(), pageUrl).toString();
+    return trustedCanonicalUrl(resolved, pageUrl) ? resolved : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+export const scrapeUrlContent = async (url) => (await scrapeArticle(url)).context;
+
+/**
+ * Fetches a page once and returns { context, canonicalUrl, pageCanonicalUrl }: the headline/description/body
+ * text for the rewrite prompt (null when too short), and the page's declared canonical URL in canonical
+ * form and as declared (kept so the canonical can be recomputed when the URL rules change).
+ */
+export const scrapeArticle = async (url) => {
+  // Social posts and unresolved Google News links have nothing useful to scrape
+  if (!url || url.includes("twitter.com") || url.includes("x.com") || url.includes("news.google.com")) {
+    return { context: null, canonicalUrl: null, pageCanonicalUrl: null };
+  }
 
   try {
     const { data } = await axios.get(url, {
@@ -13,6 +37,8 @@ export const scrapeUrlContent = async (url) => {
     });
 
     const $ = cheerio.load(data);
+    const pageCanonicalUrl = extractPageCanonicalUrl($, url);
+    const canonicalUrl = pageCanonicalUrl ? trustedCanonicalUrl(pageCanonicalUrl, url) : null;
 
     // 1. CLEANUP: Remove junk
     $("script, style, nav, footer, header, aside, iframe, .ads, .advertisement, .menu, .sidebar").remove();
@@ -61,11 +87,11 @@ export const scrapeUrlContent = async (url) => {
     `.trim();
 
     // If total content is too short, return null to avoid bad AI results
-    if (finalContext.length < 50) return null;
+    if (finalContext.length < 50) return { context: null, canonicalUrl, pageCanonicalUrl };
 
-    return finalContext.substring(0, 15000); // Limit size for Gemini
+    return { context: finalContext.substring(0, 15000), canonicalUrl, pageCanonicalUrl }; // Limit size for Gemini
   } catch (err) {
     console.error(`❌ Scraper Error (${url}): ${err.message}`);
-    return null;
+    return { context: null, canonicalUrl: null, pageCanonicalUrl: null };
   }
 };
\ No newline at end of file
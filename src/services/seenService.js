@@ -0,0 +1,95 @@
+import { SeenItem } from "../models/SeenItem.js";
+import { Queue } from "../models/Queue.js";
+import { normalizeUrl } from "../utils/helpers.js";
+import { contentHash } from "../utils/dedup.js";
+import { SEEN_TTL_DAYS } from "../config/constants.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Ledger keys for an incoming item; `text` is hashed after Telugu normalisation.
+// `aliasUrl` is a second address for the same item (e.g. the Google News link of a publisher URL).
+export function seenKeys({ url, aliasUrl, tweetId, text }) {
+  return {
+    url: url ? normalizeUrl(url) : null,
+    aliasUrl: aliasUrl ? normalizeUrl(aliasUrl) : null,
+    tweetId: tweetId ? String(tweetId) : null,
+    fingerprint: text ? contentHash(text) : null,
+  };
+}
+
+function keyFilter({ url, aliasUrl, ...rest }) {
+  const urls = [url, aliasUrl].filter(Boolean);
+  const or = Object.entries(rest)
+    .filter(([, value]) => value)
+    .map(([field, value]) => ({ [field]: value }));
+  if (urls.length > 0) or.push({ url: { $in: urls } }, { aliasUrl: { $in: urls } });
+  return or.length > 0 ? { $or: or } : null;
+}
+
+export async function findSeen(keys) {
+  const filter = keyFilter(keys);
+  return filter ? SeenItem.findOne(filter).sort({ firstSeenAt: 1 }) : null;
+}
+
+// Tweet ids from `tweetIds` that are already in the ledger.
+export const findSeenTweetIds = (tweetIds) => SeenItem.distinct("tweetId", { tweetId: { $in: tweetIds.map(String) } });
+
+/**
+ * Records that an item was offered for ingestion. An existing entry matching any key is
+ * refreshed (outcome, seenCount) instead of duplicated. `ttlDays` falls back to the default
+ * for `sourceType`.
+ */
+export async function recordSeen(keys, { title, source, sourceId, sourceType = "manual", outcome = "queued", reason, ttlDays } = {}) {
+  const days = ttlDays ?? SEEN_TTL_DAYS[sourceType] ?? SEEN_TTL_DAYS.manual;
+  const existing = await findSeen(keys);
+  if (existing) {
+    for (const [field, value] of Object.entries(keys)) if (value && !existing[field]) existing[field] = value;
+    existing.outcome = outcome;
+    existing.reason = reason;
+    existing.seenCount += 1;
+    existing.lastSeenAt = new Date();
+    return existing.save();
+  }
+
+  return SeenItem.create({
+    ...Object.fromEntries(Object.entries(keys).filter(([, value]) => value)),
+    title,
+    source,
+    sourceId,
+    sourceType,
+    outcome,
+    reason,
+    expiresAt: new Date(Date.now() + days * DAY_MS),
+  });
+}
+
+/**
+ * Ledger entry for a queue item that has just been saved, linked back to it. Written after the
+ * insert so a failed insert never leaves a "queued" entry blocking the item for the whole TTL.
+ */
+export async function recordQueued(queueItem, keys, options) {
+  const seen = await recordSeen(keys, options);
+  await Queue.updateOne({ _id: queueItem._id }, { $set: { seenItem: seen._id } });
+  return seen;
+}
+
+// Called by the worker once a queue item has a final result.
+export async function markSeenOutcome(item, outcome, reason) {
+  const update = { $set: { outcome, reason, lastSeenAt: new Date() } };
+  if (item.seenItem) return SeenItem.updateOne({ _id: item.seenItem }, update);
+  const filter = keyFilter(seenKeys({ url: item.url }));
+  if (filter) return SeenItem.updateOne(filter, update);
+}
+
+// Items dropped by filter rules, newest first, for tuning a source's rules.
+export function findRejections({ sourceId, limit = 50 } = {}) {
+  const filter = { outcome: "rejected" };
+  if (sourceId) filter.sourceId = sourceId;
+  return SeenItem.find(filter).sort({ lastSeenAt: -1 }).limit(limit).lean();
+}
+
+// Retried queue items are back in flight.
+export async function resetSeenOutcomes(seenIds) {
+  const ids = seenIds.filter(Boolean);
+  if (ids.length > 0) await SeenItem.updateMany({ _id: { $in: ids } }, { $set: { outcome: "queued", reason: null } });
+}
@@ -0,0 +1,78 @@
+import { RSSSource, TwitterSource } from "../models/Source.js";
+import {
+  SOURCE_HEALTH_WINDOW,
+  SOURCE_QUARANTINE_FAILURES,
+  SOURCE_DEGRADED_SUCCESS_RATE,
+  SOURCE_DEGRADED_DUPLICATE_RATIO,
+  RSS_BROKEN_FAILURES,
+} from "../config/constants.js";
+
+/**
+ * Appends one fetch result to the source's rolling window and updates its failure streak.
+ * `extra` is merged into the same $set (feed validators, lastStatus, ...). After
+ * SOURCE_QUARANTINE_FAILURES consecutive failures the source is deactivated with the reason stored.
+ */
+export async function recordFetchResult(Model, sourceId, { ok, latencyMs, items = 0, queued = 0, duplicates = 0, rejected = 0, pages, error = null }, extra = {}) {
+  const now = new Date();
+  const message = error ? String(error.message || error).substring(0, 500) : null;
+  const update = {
+    $set: { ...extra, lastFetchedAt: now },
+    $push: { recentFetches: { $each: [{ at: now, ok, latencyMs, items, queued, duplicates, rejected, pages, error: message }], $slice: -SOURCE_HEALTH_WINDOW } },
+  };
+  if (ok) Object.assign(update.$set, { lastSuccessAt: now, lastError: null, consecutiveFailures: 0 });
+  else {
+    update.$set.lastError = message;
+    update.$inc = { consecutiveFailures: 1 };
+  }
+
+  const source = await Model.findByIdAndUpdate(sourceId, update, { new: true });
+  if (!ok && source?.isActive && source.consecutiveFailures >= SOURCE_QUARANTINE_FAILURES) {
+    source.isActive = false;
+    source.quarantinedAt = now;
+    source.quarantineReason = `Auto-disabled after ${source.consecutiveFailures} consecutive failures: ${message}`;
+    await source.save();
+    console.log(`🚫 Quarantined source ${source.name || `@${source.handle}`}: ${message}`);
+  }
+  return source;
+}
+
+/** Metrics over the source's recent fetch window plus a status for the dashboard. */
+export function summarizeHealth(source) {
+  const fetches = source.recentFetches || [];
+  const successes = fetches.filter((f) => f.ok);
+  const items = successes.reduce((sum, f) => sum + (f.items || 0), 0);
+  const duplicates = successes.reduce((sum, f) => sum + (f.duplicates || 0), 0);
+  const latencies = fetches.map((f) => f.latencyMs).filter((ms) => ms != null);
+
+  const metrics = {
+    fetches: fetches.length,
+    successRate: fetches.length > 0 ? successes.length / fetches.length : null,
+    avgLatencyMs: latencies.length > 0 ? Math.round(latencies.reduce((a, b) => a + b, 0) / latencies.length) : null,
+    itemsYielded: successes.reduce((sum, f) => sum + (f.queued || 0), 0),
+    duplicateRatio: items > 0 ? duplicates / items : null,
+    itemsRejected: successes.reduce((sum, f) => sum + (f.rejected || 0), 0),
+    lastError: source.lastError || null,
+    consecutiveFailures: source.consecutiveFailures || 0,
+    lastSuccessAt: source.lastSuccessAt || null,
+  };
+
+  let status = "healthy";
+  if (source.quarantinedAt) status = "quarantined";
+  else if (!source.isActive) status = "inactive";
+  else if (fetches.length === 0) status = "idle";
+  else if (metrics.consecutiveFailures >= RSS_BROKEN_FAILURES) status = "failing";
+  else if (metrics.successRate < SOURCE_DEGRADED_SUCCESS_RATE || metrics.duplicateRatio > SOURCE_DEGRADED_DUPLICATE_RATIO) status = "degraded";
+
+  return { ...metrics, status };
+}
+
+const STATUS_ORDER = ["quarantined", "failing", "degraded", "idle", "healthy", "inactive"];
+
+export async function getSourcesHealth() {
+  const [rss, twitter] = await Promise.all([RSSSource.find().lean(), TwitterSource.find().lean()]);
+  const sources = [
+    ...rss.map((s) => ({ id: s._id, type: "rss", name: s.name, url: s.url, quarantinedAt: s.quarantinedAt, quarantineReason: s.quarantineReason, ...summarizeHealth(s) })),
+    ...twitter.map((s) => ({ id: s._id, type: "twitter", name: `@${s.handle}`, url: null, quarantinedAt: s.quarantinedAt, quarantineReason: s.quarantineReason, ...summarizeHealth(s) })),
+  ];
+  return sources.sort((a, b) => STATUS_ORDER.indexOf(a.status) - STATUS_ORDER.indexOf(b.status));
+}
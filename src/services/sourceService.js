@@ -2,17 +2,48 @@ import { TwitterSource, RSSSource } from "../models/Source.js";
 
 // In-memory storage for rapid access
 export let TARGET_HANDLES = [];
+export let TWITTER_SOURCES = [];
 export let RSS_FEEDS = [];
 
-export async function loadSources() {
+const scheduleOf = (source) => ({
+  fetchIntervalMinutes: source.fetchIntervalMinutes,
+  maxItemsPerFetch: source.maxItemsPerFetch,
+  activeHours: source.activeHours,
+  lastFetchedAt: source.lastFetchedAt,
+});
+
+// `quiet` skips the summary log (the scheduler reloads every minute).
+export async function loadSources({ quiet = false } = {}) {
   try {
     const twitterSources = await TwitterSource.find({ isActive: true });
     const rssSources = await RSSSource.find({ isActive: true });
 
     TARGET_HANDLES = twitterSources.map((source) => source.handle);
-    RSS_FEEDS = rssSources.map((source) => ({ name: source.name, url: source.url }));
+    TWITTER_SOURCES = twitterSources.map((source) => ({
+      id: source._id,
+      handle: source.handle,
+      seenTtlDays: source.seenTtlDays,
+      filters: source.filters,
+      tweetTypes: source.tweetTypes,
+      sinceId: source.sinceId,
+      cursor: source.cursor,
+      backfillUntilId: source.backfillUntilId,
+      ...scheduleOf(source),
+    }));
+    RSS_FEEDS = rssSources.map((source) => ({
+      id: source._id,
+      name: source.name,
+      url: source.url,
+      type: source.type,
+      seenTtlDays: source.seenTtlDays,
+      filters: source.filters,
+      etag: source.etag,
+      lastModified: source.lastModified,
+      lastItemGuid: source.lastItemGuid,
+      ...scheduleOf(source),
+    }));
 
-    console.log(`✅ Loaded ${TARGET_HANDLES.length} Twitter handles and ${RSS_FEEDS.length} RSS feeds`);
+    if (!quiet) console.log(`✅ Loaded ${TARGET_HANDLES.length} Twitter handles and ${RSS_FEEDS.length} RSS feeds`);
   } catch (error) {
     console.error("Error loading sources:", error);
   }
@@ -0,0 +1,145 @@
+import stringSimilarity from "string-similarity";
+import { Tag } from "../models/Tag.js";
+import { Post } from "../models/Post.js";
+import { slugify } from "../utils/helpers.js";
+import { transliterate } from "../utils/telugu.js";
+
+const MAX_CANONICAL_DEPTH = 5;
+
+// "K.T. Rama Rao" -> "ktramarao", "కేటీఆర్" -> "ketiar"; repeated letters collapse so vowel length does not matter.
+export function tagKey(name) {
+  return transliterate(name).toLowerCase().replace(/[^a-z0-9]/g, "").replace(/(.)\1+/g, "$1");
+}
+
+const skeleton = (key) => key.charAt(0) + key.slice(1).replace(/[aeiou]/g, "");
+
+const initials = (name) =>
+  transliterate(name)
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean)
+    .map((w) => w[0])
+    .join("");
+
+export function getTagKeys(tag) {
+  return [...new Set([tag.name, tag.nameTe, ...(tag.aliases || [])].filter(Boolean).map(tagKey).filter(Boolean))];
+}
+
+async function resolveCanonical(tag) {
+  let current = tag;
+  for (let depth = 0; current?.canonical && depth < MAX_CANONICAL_DEPTH; depth++) {
+    const parent = await Tag.findById(current.canonical);
+    if (!parent) break;
+    current = parent;
+  }
+  return current;
+}
+
+async function findExistingTag(entity, slug) {
+  const keys = [entity.name_en, entity.name_te].filter(Boolean).map(tagKey).filter(Boolean);
+  return (await Tag.findOne({ slug })) || (keys.length ? await Tag.findOne({ aliasKeys: { $in: keys } }) : null);
+}
+
+// Upserts extracted entities as Tag documents (slug derived from the English name) and returns their ids.
+// Names matching an existing alias, and tags with a canonical parent, resolve to the canonical tag.
+export async function upsertTags(entities) {
+  if (!Array.isArray(entities) || entities.length === 0) return [];
+  const tagIds = [];
+  for (const entity of entities) {
+    const slug = slugify(entity.name_en);
+    if (!slug) continue;
+    try {
+      let tag = await findExistingTag(entity, slug);
+      if (!tag) {
+        tag = await Tag.create({
+          name: entity.name_en,
+          slug,
+          nameTe: entity.name_te || "",
+          type: entity.type || "other",
+        });
+        tag.aliasKeys = getTagKeys(tag);
+        await tag.save();
+      } else if (!tag.nameTe && entity.name_te) {
+        tag.nameTe = entity.name_te;
+        tag.aliasKeys = getTagKeys(tag);
+        await tag.save();
+      }
+      tag = await resolveCanonical(tag);
+      if (!tagIds.some((id) => id.equals(tag._id))) tagIds.push(tag._id);
+    } catch (e) {
+      console.error(`   Tag Error (${entity.name_en}): ${e.message}`);
+    }
+  }
+  return tagIds;
+}
+
+// Repoints every post from `loser` to `winner`, keeps the loser's names as aliases and deletes it.
+export async function mergeTags(loser, winner) {
+  await Post.updateMany({ tags: loser._id }, { $addToSet: { tags: winner._id } });
+  const { modifiedCount } = await Post.updateMany({ tags: loser._id }, { $pull: { tags: loser._id } });
+
+  const aliases = [loser.name, loser.nameTe, ...(loser.aliases || [])].filter(Boolean);
+  winner.aliases = [...new Set([...(winner.aliases || []), ...aliases])].filter((a) => a !== winner.name && a !== winner.nameTe);
+  if (!winner.nameTe && loser.nameTe) winner.nameTe = loser.nameTe;
+  if (winner.canonical?.equals(loser._id)) winner.canonical = loser.canonical?.equals(winner._id) ? null : loser.canonical;
+  winner.aliasKeys = getTagKeys(winner);
+  await winner.save();
+
+  await Tag.updateMany({ canonical: loser._id }, { $set: { canonical: winner._id } });
+  await Tag.deleteOne({ _id: loser._id });
+  return { postsUpdated: modifiedCount };
+}
+
+function compareTagForms(a, b) {
+  const sharedKey = a.keys.find((k) => b.keys.includes(k));
+  if (sharedKey) return { score: 1, reason: "same transliteration" };
+
+  for (const ka of a.keys) {
+    for (const kb of b.keys) {
+      if (ka.length >= 3 && skeleton(ka) === skeleton(kb)) return { score: 0.9, reason: "same consonant skeleton" };
+    }
+  }
+
+  const abbreviation = (short, long) =>
+    short.keys.some((k) => k.length >= 2 && k.length <= 5 && long.initials.some((i) => i.length >= k.length && i.startsWith(k)));
+  if (abbreviation(a, b) || abbreviation(b, a)) return { score: 0.85, reason: "abbreviation" };
+
+  let best = 0;
+  for (const ka of a.keys) for (const kb of b.keys) best = Math.max(best, stringSimilarity.compareTwoStrings(ka, kb));
+  return { score: best, reason: "similar spelling" };
+}
+
+/**
+ * Lists probable duplicate tag pairs by transliteration, consonant skeleton, abbreviation and
+ * string similarity. Only tags without a canonical parent are compared, bucketed by first letter.
+ */
+export async function findDuplicateTags(threshold = 0.8) {
+  const tags = await Tag.find({ canonical: null }).lean();
+  const forms = tags.map((t) => ({
+    tag: t,
+    keys: getTagKeys(t),
+    initials: [t.name, ...(t.aliases || [])].map(initials).filter(Boolean),
+  }));
+
+  const buckets = new Map();
+  for (const f of forms) {
+    for (const letter of new Set(f.keys.map((k) => k[0]))) {
+      if (!buckets.has(letter)) buckets.set(letter, []);
+      buckets.get(letter).push(f);
+    }
+  }
+
+  const pairs = new Map();
+  for (const group of buckets.values()) {
+    for (let i = 0; i < group.length; i++) {
+      for (let j = i + 1; j < group.length; j++) {
+        const [a, b] = [group[i], group[j]];
+        const pairId = [a.tag._id.toString(), b.tag._id.toString()].sort().join(":");
+        if (pairs.has(pairId)) continue;
+        const { score, reason } = compareTagForms(a, b);
+        if (score >= threshold) pairs.set(pairId, { a: a.tag, b: b.tag, score: Number(score.toFixed(2)), reason });
+      }
+    }
+  }
+  return [...pairs.values()].sort((x, y) => y.score - x.score);
+}
@@ -1,51 +1,299 @@
 import { Post } from "../models/Post.js";
 import { Queue } from "../models/Queue.js";
-import { TARGET_HANDLES } from "./sourceService.js";
+import { TwitterSource } from "../models/Source.js";
+import { TWITTER_SOURCES } from "./sourceService.js";
+import { getMergedTweetIds } from "./duplicateService.js";
+import { seenKeys, findSeen, recordSeen, recordQueued } from "./seenService.js";
+import { recordFetchResult } from "./sourceHealthService.js";
+import { evaluateFilters } from "../utils/sourceFilters.js";
+import { shapeTweets, tweetAuthor, extractTweetId } from "../utils/tweets.js";
+import { DEFAULT_MAX_ITEMS_PER_FETCH, TWITTER_MAX_PAGES_PER_FETCH } from "../config/constants.js";
 
-export async function fetchAndQueueTweetsForHandle(userName) {
-  const API_URL = "https://api.twitterapi.io/twitter/user/last_tweets";
+const API_URL = "https://api.twitterapi.io/twitter/user/last_tweets";
+const TWEETS_API_URL = "https://api.twitterapi.io/twitter/tweets";
+const TWEET_LOOKUP_BATCH = 20;
+
+// Queue document for a shaped tweet item (see utils/tweets.js)
+function toQueueDoc({ tweet, text, media, partIds = [], threadId }, fallbackUserName) {
+  const author = tweetAuthor(tweet);
+  return {
+    id: tweet.id,
+    text,
+    url: tweet.url || `https://x.com/i/web/status/${tweet.id}`,
+    imageUrl: media[0]?.media_url_https || null,
+    media,
+    extendedEntities: { media },
+    threadTweetIds: partIds.length > 0 ? partIds : undefined,
+    conversationId: threadId || null,
+    user: author ? { screen_name: author.userName || author.screen_name, name: author.name } : { screen_name: fallbackUserName, name: fallbackUserName },
+    postType: "normal_post",
+    useAuthorContext: false,
+  };
+}
+
+async function fetchTweetPage(userName, cursor) {
+  const params = new URLSearchParams({ userName });
+  if (cursor) params.set("cursor", cursor);
+  const response = await fetch(`${API_URL}?${params}`, {
+    headers: { "X-API-Key": process.env.TWITTER_API_KEY },
+  });
+  if (!response.ok) throw new Error(`HTTP ${response.status} from Twitter API`);
+  const data = await response.json();
+  const body = data?.tweets ? data : data?.data || {};
+  return { tweets: body.tweets ?? [], nextCursor: body.has_next_page ? body.next_cursor || null : null };
+}
+
+// Tweet ids are 64-bit snowflakes: compare as BigInt, never as numbers or strings
+const isNewerTweet = (id, thanId) => BigInt(id) > BigInt(thanId);
+
+/**
+ * Pages through last_tweets (newest first) until the page that reaches `boundaryId`, at most
+ * TWITTER_MAX_PAGES_PER_FETCH pages. A pinned tweet can sit above newer ones, so a page only ends the
+ * walk when its oldest tweet is at or below the boundary. The walk also stops after the page that
+ * brings the count to `maxItems`; pages are kept whole so no tweet between the cursor and the boundary
+ * is skipped, and the rest of the burst is fetched next time. Without a boundary (first fetch of a
+ * handle) only the first `maxItems` tweets are taken.
+ */
+async function collectNewTweets(userName, { startCursor, boundaryId, maxItems }) {
+  if (!boundaryId) {
+    const { tweets } = await fetchTweetPage(userName, startCursor);
+    return { tweets: tweets.slice(0, maxItems), pages: 1, nextCursor: null };
+  }
+
+  const tweets = [];
+  let cursor = startCursor;
+  let pages = 0;
+  while (pages < TWITTER_MAX_PAGES_PER_FETCH && tweets.length < maxItems) {
+    const page = await fetchTweetPage(userName, cursor);
+    pages++;
+    tweets.push(...page.tweets.filter((t) => isNewerTweet(t.id, boundaryId)));
+    const oldest = page.tweets[page.tweets.length - 1];
+    if (!page.nextCursor || !oldest || !isNewerTweet(oldest.id, boundaryId)) return { tweets, pages, nextCursor: null };
+    cursor = page.nextCursor;
+  }
+  // Page or item limit hit before reaching the boundary: the rest of the burst is fetched next time
+  return { tweets, pages, nextCursor: cursor };
+}
+
+/**
+ * Appends a thread continuation (its start came in an earlier fetch) to the thread's queue item, if
+ * that item hasn't been picked up by the worker yet. Returns false when there is nothing to append
+ * to (already processing or posted); the continuation is then queued on its own.
+ */
+async function appendToQueuedThread({ tweet, text, media, partIds, threadId }) {
+  const open = await Queue.findOne({ conversationId: threadId, status: { $in: ["pending", "failed"] } }).select("text");
+  if (!open) return false;
+  const update = {
+    $set: { text: `${open.text}\n\n${text}` },
+    $push: { threadTweetIds: { $each: [tweet.id, ...partIds] } },
+  };
+  if (media.length > 0) Object.assign(update.$push, { media: { $each: media }, "extendedEntities.media": { $each: media } });
+  // Guard on the status again: the worker may have claimed the item since the lookup
+  const result = await Queue.updateOne({ _id: open._id, status: { $in: ["pending", "failed"] } }, update);
+  return result.modifiedCount > 0;
+}
+
+/**
+ * Queues the handle's tweets newer than its `sinceId`. `source` is the TwitterSource (as loaded by
+ * sourceService); its fetch state is updated in place and saved. Without an `id` (ad-hoc handles)
+ * nothing is saved and no health metrics are recorded.
+ */
+export async function fetchAndQueueTweetsForHandle(userName, source = {}) {
+  const { id, seenTtlDays, filters, tweetTypes, maxItemsPerFetch = DEFAULT_MAX_ITEMS_PER_FETCH } = source;
+  const startedAt = Date.now();
+  const stats = { items: 0, queued: 0, duplicates: 0, rejected: 0, pages: 0, appended: 0 };
+  let state = {};
+  const record = async (result) => {
+    Object.assign(source, state);
+    if (id) await recordFetchResult(TwitterSource, id, { latencyMs: Date.now() - startedAt, ...stats, ...result }, state);
+  };
+
+  // Resuming an unfinished burst pages back to where it started; otherwise back to sinceId
+  const resuming = !!source.cursor;
   try {
-    const response = await fetch(`${API_URL}?userName=${userName}`, {
-      headers: { "X-API-Key": process.env.TWITTER_API_KEY },
+    const { tweets, pages, nextCursor } = await collectNewTweets(userName, {
+      startCursor: source.cursor || null,
+      boundaryId: resuming ? source.backfillUntilId : source.sinceId,
+      maxItems: maxItemsPerFetch,
     });
-    if (!response.ok) return 0;
-    const data = await response.json();
-    let tweets = data?.tweets ?? data?.data?.tweets ?? [];
-    tweets = tweets.slice(0, 5);
-
-    if (tweets.length === 0) return 0;
-
-    const postedIds = await Post.find({ tweetId: { $in: tweets.map((t) => t.id) } }).distinct("tweetId");
-    const queuedIds = await Queue.find({ id: { $in: tweets.map((t) => t.id) } }).distinct("id");
-    const ignoredIds = new Set([...postedIds, ...queuedIds]);
-    const newTweets = tweets.filter((t) => !ignoredIds.has(t.id));
-
-    if (newTweets.length === 0) return 0;
-
-    const queueDocs = newTweets.map((t) => ({
-      id: t.id,
-      text: t.text,
-      url: t.url,
-      media: t.media || [],
-      extendedEntities: t.extendedEntities || {},
-      user: t.user || { screen_name: userName, name: userName },
-      postType: "normal_post",
-      useAuthorContext: false,
-    }));
-
-    await Queue.insertMany(queueDocs);
+    stats.items = tweets.length;
+    stats.pages = pages;
+
+    const newest = tweets.reduce((max, t) => (!max || isNewerTweet(t.id, max) ? t.id : max), source.sinceId || null);
+    state = {
+      sinceId: newest,
+      cursor: nextCursor,
+      backfillUntilId: nextCursor ? (resuming ? source.backfillUntilId : source.sinceId) : null,
+    };
+    if (nextCursor) console.log(`   ⏩ @${userName}: more than ${pages} pages of new tweets, continuing next fetch`);
+
+    if (tweets.length === 0) {
+      await record({ ok: true });
+      return 0;
+    }
+
+    const { items, skipped } = shapeTweets(tweets, userName, tweetTypes);
+    const seenBase = { source: `@${userName}`, sourceId: id, sourceType: "twitter", ttlDays: seenTtlDays };
+    for (const { tweet, reason } of skipped) {
+      if (await findSeen(seenKeys({ tweetId: tweet.id }))) continue;
+      stats.rejected++;
+      await recordSeen(seenKeys({ tweetId: tweet.id, url: tweet.url }), { ...seenBase, title: tweet.text?.slice(0, 100), outcome: "rejected", reason });
+    }
+
+    // Unwrapped retweets carry the original's id, so a story already taken from its author is caught here
+    const itemIds = items.map((i) => i.tweet.id);
+    const postedIds = await Post.find({ tweetId: { $in: itemIds } }).distinct("tweetId");
+    const queued = await Queue.find({ $or: [{ id: { $in: itemIds } }, { threadTweetIds: { $in: itemIds } }] }).select("id threadTweetIds").lean();
+    const mergedIds = await getMergedTweetIds(itemIds);
+    const ignoredIds = new Set([...postedIds, ...queued.flatMap((q) => [q.id, ...(q.threadTweetIds || [])]), ...mergedIds]);
+
+    const newTweets = [];
+    const batchTexts = new Set();
+    for (const item of items) {
+      const { tweet } = item;
+      const keys = seenKeys({ tweetId: tweet.id, url: tweet.url, text: item.text });
+      if (ignoredIds.has(tweet.id) || (keys.fingerprint && batchTexts.has(keys.fingerprint)) || (await findSeen(keys))) {
+        stats.duplicates++;
+        continue;
+      }
+      const seenOptions = { ...seenBase, title: item.text.slice(0, 100) };
+
+      // The thread itself was already accepted, so a continuation skips the filter rules
+      if (item.threadId && item.threadId !== tweet.id && (await appendToQueuedThread(item))) {
+        for (const tweetId of [tweet.id, ...item.partIds]) {
+          await recordSeen(seenKeys({ tweetId }), { ...seenOptions, reason: `Part of thread ${item.threadId}` });
+        }
+        stats.appended++;
+        continue;
+      }
+
+      // Twitter's "und"/"qme"/"zxx" aren't languages; fall back to script detection for those
+      const lang = /^[a-z]{2}$/.test(tweet.lang || "") ? tweet.lang : null;
+      const rejection = evaluateFilters(filters, { title: item.text, url: tweet.url, lang });
+      if (rejection) {
+        stats.rejected++;
+        await recordSeen(keys, { ...seenOptions, outcome: "rejected", reason: rejection });
+        continue;
+      }
+      if (keys.fingerprint) batchTexts.add(keys.fingerprint);
+      newTweets.push({ ...item, keys, seenOptions });
+    }
+
+    if (newTweets.length === 0) {
+      await record({ ok: true });
+      if (stats.appended) console.log(`✅ Auto-Fetch: Added ${stats.appended} thread continuations from @${userName}`);
+      return 0;
+    }
+
+    // Ledger entries only once the items are really queued
+    const inserted = await Queue.insertMany(newTweets.map((item) => toQueueDoc(item, userName)));
+    for (const [i, queued] of inserted.entries()) {
+      const { tweet, keys, seenOptions, partIds } = newTweets[i];
+      await recordQueued(queued, keys, seenOptions);
+      // Later thread tweets get their own ledger entries so they aren't picked up again on their own
+      for (const partId of partIds) {
+        await recordSeen(seenKeys({ tweetId: partId }), { ...seenOptions, reason: `Part of thread ${tweet.id}` });
+      }
+    }
+    stats.queued = newTweets.length;
+    await record({ ok: true });
     console.log(`✅ Auto-Fetch: Queued ${newTweets.length} from @${userName}`);
     return newTweets.length;
   } catch (error) {
     console.error(`❌ Auto-Fetch Error for ${userName}:`, error.message);
+    // A fresh fetch leaves the stored state alone, so the same tweets are retried. A failed catch-up
+    // drops its cursor (a stale one would fail forever) and rewinds sinceId to the catch-up boundary,
+    // so the next fetch pages from the top back over the unfetched part of the burst.
+    state = resuming ? { sinceId: source.backfillUntilId, cursor: null, backfillUntilId: null } : {};
+    await record({ ok: false, error }).catch(() => {});
     return 0;
   }
 }
 
-export async function fetchAllTwitterHandles() {
+// All active handles by default; the scheduler passes only the due ones.
+export async function fetchAllTwitterHandles(sources = TWITTER_SOURCES) {
   let total = 0;
-  for (const handle of TARGET_HANDLES) {
-    total += await fetchAndQueueTweetsForHandle(handle);
+  for (const source of sources) {
+    total += await fetchAndQueueTweetsForHandle(source.handle, source);
   }
   return total;
-}
\ No newline at end of file
+}
+
+/** Looks up tweets by id (batched); returns a Map of id -> tweet. Ids the API doesn't return are absent. */
+export async function fetchTweetDetails(tweetIds) {
+  const found = new Map();
+  for (let i = 0; i < tweetIds.length; i += TWEET_LOOKUP_BATCH) {
+    const batch = tweetIds.slice(i, i + TWEET_LOOKUP_BATCH);
+    const response = await fetch(`${TWEETS_API_URL}?tweet_ids=${batch.join(",")}`, {
+      headers: { "X-API-Key": process.env.TWITTER_API_KEY },
+    });
+    if (!response.ok) throw new Error(`HTTP ${response.status} from Twitter API: ${(await response.text()).substring(0, 200)}`);
+    const data = await response.json();
+    for (const tweet of data?.tweets ?? data?.data?.tweets ?? []) found.set(String(tweet.id), tweet);
+  }
+  return found;
+}
+
+async function knownTweetReason(tweetId, keys) {
+  if (await Post.exists({ tweetId })) return "Already posted";
+  if ((await getMergedTweetIds([tweetId])).length > 0) return "Merged into another post";
+  const seen = await findSeen(keys);
+  return seen ? `Already seen (${seen.outcome}) on ${seen.firstSeenAt.toISOString()}` : null;
+}
+
+// Hand-picked tweets: the admin chose them, so replies are kept, but retweets still resolve to the original
+const MANUAL_TWEET_TYPES = { skipReplies: false, retweets: "unwrap", includeQuotes: true, stitchThreads: false };
+
+/**
+ * Queues tweets given as ids or status URLs. Returns one result per input, in order:
+ * { input, tweetId, status, error?, queueId? } where status is queued, duplicate, skipped,
+ * invalid, not_found or error. Known tweets (queued, posted, merged or in the ledger) are reported as
+ * duplicates unless `force` is set.
+ */
+export async function queueTweetsByRef(inputs, { force = false } = {}) {
+  const results = inputs.map((input) => ({ input, tweetId: extractTweetId(input), status: "pending" }));
+  const pending = () => results.filter((r) => r.status === "pending");
+  const seenIds = new Set();
+  for (const result of results) {
+    if (!result.tweetId) Object.assign(result, { status: "invalid", error: "Not a tweet id or status URL" });
+    else if (seenIds.has(result.tweetId)) Object.assign(result, { status: "duplicate", error: "Repeated in this request" });
+    else seenIds.add(result.tweetId);
+  }
+
+  let tweets;
+  try {
+    tweets = await fetchTweetDetails(pending().map((r) => r.tweetId));
+  } catch (error) {
+    for (const result of pending()) Object.assign(result, { status: "error", error: error.message });
+    return results;
+  }
+
+  for (const result of pending()) {
+    const tweet = tweets.get(result.tweetId);
+    if (!tweet) {
+      Object.assign(result, { status: "not_found", error: "Tweet not found" });
+      continue;
+    }
+    try {
+      const { items: [item], skipped } = shapeTweets([tweet], tweetAuthor(tweet)?.userName, MANUAL_TWEET_TYPES);
+      if (!item) {
+        Object.assign(result, { status: "skipped", error: skipped[0]?.reason || "Nothing to queue" });
+        continue;
+      }
+      const id = item.tweet.id;
+      const keys = seenKeys({ tweetId: id, url: item.tweet.url, text: item.text });
+      // Still-queued tweets are reported even with `force`: the queue id would collide
+      const known = (await Queue.exists({ $or: [{ id }, { threadTweetIds: id }] })) ? "Already in queue" : force ? null : await knownTweetReason(id, keys);
+      if (known) {
+        Object.assign(result, { status: "duplicate", error: known });
+        continue;
+      }
+      const queued = await Queue.create(toQueueDoc(item, "manual_add"));
+      await recordQueued(queued, keys, { title: item.text.slice(0, 100), source: "Manual", sourceType: "manual" });
+      Object.assign(result, { status: "queued", queueId: id });
+    } catch (error) {
+      Object.assign(result, { status: "error", error: error.message });
+    }
+  }
+  return results;
+}
@@ -1,14 +1,22 @@
 import cron from "node-cron";
-import { Queue } from "../models/Queue.js";
 import { Post } from "../models/Post.js";
 import { formatTweetWithGemini } from "./aiService.js";
-import { normalizeUrl, extractSlugFromUrl, generatePostId, sleep } from "../utils/helpers.js";
+import { scrapeArticle } from "./scraperService.js";
+import { normalizeUrl, generatePostId, sleep } from "../utils/helpers.js";
+import { truncateGraphemes } from "../utils/telugu.js";
+import { isSourceDue } from "../utils/schedule.js";
+import { extractTweetMedia, extractTweetId } from "../utils/tweets.js";
 import { fetchAndQueueRSS } from "./rssService.js";
 import { fetchAllTwitterHandles } from "./twitterService.js";
-import { loadSources } from "./sourceService.js";
+import { loadSources, RSS_FEEDS, TWITTER_SOURCES } from "./sourceService.js";
+import { upsertTags } from "./tagService.js";
+import { assignToCluster } from "./clusterService.js";
+import { isMergedUrl } from "./duplicateService.js";
+import { markSeenOutcome } from "./seenService.js";
+import { claimBatch, markFailed, markDone, releaseStaleClaims } from "./queueService.js";
 
 async function processQueueItem() {
-  const batch = await Queue.find().sort({ queuedAt: 1 }).limit(3);
+  const batch = await claimBatch();
   if (batch.length === 0) return;
 
   console.log(`⚙️ Worker: Processing ${batch.length} items...`);
@@ -18,109 +26,134 @@ async function processQueueItem() {
       console.log(`   Processing: ${item.url || item.id}`);
 
       // 🛑 DEDUPLICATION
+      // Scrape once: the page's rel=canonical joins the URL keys and its text feeds the prompt
+      let scraped = null;
+      let canonicalUrl = null;
       if (item.url) {
-        const cleanUrl = normalizeUrl(item.url);
+        scraped = await scrapeArticle(item.url);
+        const urlKeys = [...new Set([normalizeUrl(item.url), scraped.canonicalUrl].filter(Boolean))];
+        canonicalUrl = scraped.canonicalUrl || urlKeys[0];
+        // `url` too: posts saved before the canonical-URL backfill have no canonicalUrl, and a raw match
+        // would otherwise only surface as a unique-index error on save
         const duplicate = await Post.findOne({
-          url: { $regex: new RegExp(cleanUrl.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), "i") },
+          $or: [{ canonicalUrl: { $in: urlKeys } }, { url: { $in: [item.url, ...urlKeys] } }],
         });
+        const merged = !duplicate && (await Promise.all(urlKeys.map(isMergedUrl))).some(Boolean);
 
-        if (duplicate) {
-          console.log(`   ⛔ Duplicate Found (Skipping): ${cleanUrl}`);
-          await Queue.deleteOne({ _id: item._id });
+        if (duplicate || merged) {
+          console.log(`   ⛔ Duplicate Found (Skipping): ${canonicalUrl}`);
+          await markSeenOutcome(item, "duplicate", duplicate ? `Post ${duplicate.postId}` : "Merged URL");
+          await markDone(item);
           continue;
         }
       }
 
       // 🤖 AI PROCESSING
-      const geminiData = await formatTweetWithGemini(item.text, item.url);
+      const { data: geminiData, prompt, errors, error } = await formatTweetWithGemini(item.text, item.url, {
+        promptType: item.promptType,
+        sourceName: item.user?.name || item.source,
+        scrapedContext: scraped ? scraped.context : undefined,
+      });
 
       if (geminiData) {
-        // --- FALLBACK LOGIC START ---
-        // If Gemini returns empty title, use URL slug or generic text
-        let finalTitle = geminiData.title;
-        if (!finalTitle || finalTitle.trim() === "") {
-             console.warn("   ⚠️ Missing Title from AI. Using Fallback.");
-             finalTitle = extractSlugFromUrl(item.url) || "News Update";
-        }
-        
-        // Ensure Summary exists
-        const finalSummary = geminiData.summary || finalTitle;
-        // --- FALLBACK LOGIC END ---
-
-        let imageUrl = item.imageUrl;
-        if (!imageUrl && item.extendedEntities?.media?.[0]) {
-          imageUrl = item.extendedEntities.media[0].media_url_https;
-        }
-
-        let finalPostType = "normal_post";
-        let tweetVideo = null;
-        const mediaList = item.extendedEntities?.media || item.media || [];
-
-        if (mediaList.length > 0 && mediaList[0].type === "video") {
-          const variants = mediaList[0].video_info?.variants || [];
-          const bestVideo = variants.filter((v) => v.content_type === "video/mp4").sort((a, b) => b.bitrate - a.bitrate)[0];
-          if (bestVideo) {
-            tweetVideo = bestVideo.url;
-            finalPostType = "normal_video";
-          }
-        }
+        const finalTitle = geminiData.title;
+        const finalSummary = geminiData.summary;
 
-        let finalSearchSlug = geminiData.slug_en;
-        if (!finalSearchSlug || finalSearchSlug.length < 3) finalSearchSlug = extractSlugFromUrl(item.url);
-        if (!finalSearchSlug) finalSearchSlug = "latest-news";
+        const { media, imageUrl: mediaImage, videoUrl, type: mediaPostType } = extractTweetMedia(item.extendedEntities?.media || item.media || []);
+        const imageUrl = item.imageUrl || mediaImage;
+        // Tweet items are queued under the tweet's id; the post keeps it so the tweet is known as posted.
+        // A forced re-add of an already-posted tweet leaves it off, as tweetId is unique
+        const tweetId = extractTweetId(item.url) === item.id && !(await Post.exists({ tweetId: item.id })) ? item.id : undefined;
 
         const newPost = new Post({
           postId: generatePostId(),
-          title: finalTitle, // Uses fallback if needed
+          title: finalTitle,
           summary: finalSummary,
           text: finalSummary,
           url: item.url,
-          imageSearchSlug: finalSearchSlug,
+          canonicalUrl: canonicalUrl || undefined,
+          pageCanonicalUrl: scraped ? scraped.pageCanonicalUrl : undefined,
+          aggregatorUrl: item.aggregatorUrl,
+          tweetId,
+          imageSearchSlug: geminiData.slug_en,
           source: item.source || "Manual",
           sourceName: item.user?.name || "Manual",
           sourceType: item.source === "Manual" ? "manual" : "rss",
           imageUrl: imageUrl,
-          videoUrl: tweetVideo,
+          videoUrl,
+          media,
           relatedStories: item.relatedStories || [],
-          categories: [geminiData.category || "General"],
-          tags: [],
+          categories: [geminiData.category],
+          tags: await upsertTags(geminiData.entities),
           publishedAt: new Date(),
+          sourcePublishedAt: item.sourcePublishedAt || null,
+          keywords: item.keywords || [],
           isPublished: true,
-          type: finalPostType,
+          type: mediaPostType,
           lang: "te",
+          promptName: prompt.name,
+          promptVersion: prompt.version,
+          // Keep the source fingerprint so later copies of the same story match this post
+          dedup: item.dedup?.bands?.length ? { minhash: item.dedup.minhash, bands: item.dedup.bands } : undefined,
         });
 
         await newPost.save();
-        console.log(`   ✅ Published: [${geminiData.category}] ${finalTitle.substring(0, 30)}...`);
-        await Queue.deleteOne({ _id: item._id });
+        try {
+          const cluster = await assignToCluster(newPost);
+          if (cluster) console.log(`   🧩 Clustered with ${cluster.postCount - 1} related posts`);
+        } catch (clusterErr) {
+          console.error(`   ⚠️ Clustering Error: ${clusterErr.message}`);
+        }
+        console.log(`   ✅ Published: [${geminiData.category}] ${truncateGraphemes(finalTitle, 30, { ellipsis: "..." })}`);
+        await markSeenOutcome(item, "published", `Post ${newPost.postId}`);
+        await markDone(item);
       } else {
-        console.log("   ⚠️ Gemini Failed or No Content");
-        // Optional: Keep in queue for retry, or delete? Currently deleting to prevent block.
-        await Queue.deleteOne({ _id: item._id });
+        const reason = errors.length > 0 ? `${error}: ${errors.join("; ")}` : error || "No content from LLM";
+        const { status, nextAttemptAt } = await markFailed(item, reason, { validationErrors: errors });
+        console.log(`   ⚠️ ${reason} -> ${status}${nextAttemptAt ? ` (retry at ${nextAttemptAt.toISOString()})` : ""}`);
       }
     } catch (e) {
       console.error(`   ❌ Error: ${e.message}`);
-      // If validation failed specifically, delete the poison pill to unblock queue
-      if(e.message.includes("validation failed")) {
-          await Queue.deleteOne({ _id: item._id });
+      // Failed items back off and eventually land in the dead-letter view instead of being dropped
+      try {
+        await markFailed(item, e);
+      } catch (markError) {
+        // The item stays in processing until the next startup releases stale claims
+        console.error(`   ❌ Could not mark ${item.id} as failed: ${markError.message}`);
       }
     }
     await sleep(5000);
   }
 }
 
-export const initCronJobs = () => {
+let isPolling = false;
+
+async function pollDueSources() {
+  if (isPolling) return;
+  isPolling = true;
+  try {
+    await loadSources({ quiet: true });
+    const now = new Date();
+    const dueFeeds = RSS_FEEDS.filter((source) => isSourceDue(source, now));
+    const dueHandles = TWITTER_SOURCES.filter((source) => isSourceDue(source, now));
+
+    if (dueFeeds.length > 0) await fetchAndQueueRSS(dueFeeds);
+    if (dueHandles.length > 0) await fetchAllTwitterHandles(dueHandles);
+  } catch (e) {
+    console.error(`❌ Scheduler Error: ${e.message}`);
+  } finally {
+    isPolling = false;
+  }
+}
+
+export const initCronJobs = async () => {
+  const released = await releaseStaleClaims();
+  if (released > 0) console.log(`♻️ Worker: Released ${released} stale queue items`);
+
   cron.schedule("*/1 * * * *", processQueueItem);
-  
-  cron.schedule("*/15 * * * *", async () => {
-    await loadSources();
-    await fetchAndQueueRSS();
-  });
-
-  cron.schedule("*/30 * * * *", async () => {
-    await loadSources();
-    await fetchAllTwitterHandles();
-  });
-  
+
+  // Each source carries its own interval and active hours; poll whichever are due
+  cron.schedule("*/1 * * * *", pollDueSources);
+
   console.log("⏰ Cron Jobs Initialized");
 };
\ No newline at end of file
@@ -0,0 +1,117 @@
+import {
+  DEFAULT_KEEP_PARAMS,
+  TRACKING_PARAMS,
+  TRACKING_PARAM_PREFIXES,
+  HOST_PREFIXES,
+  DOMAIN_RULES,
+  REDIRECT_PARAMS,
+} from "../config/urlRules.js";
+
+const MAX_UNWRAP_DEPTH = 3;
+
+// Exact host or nearest parent domain with an entry in `table`
+function lookupDomain(table, host) {
+  const parts = host.split(".");
+  for (let i = 0; i < parts.length - 1; i++) {
+    const candidate = parts.slice(i).join(".");
+    if (table[candidate]) return table[candidate];
+  }
+  return null;
+}
+
+const isTrackingParam = (key) => {
+  const lower = key.toLowerCase();
+  return TRACKING_PARAMS.includes(lower) || TRACKING_PARAM_PREFIXES.some((prefix) => lower.startsWith(prefix));
+};
+
+/**
+ * Follows wrappers that carry the real URL in the link itself: google.com/url?q=,
+ * l.facebook.com/l.php?u=, Google AMP viewer (/amp/s/...) and the AMP cache (cdn.ampproject.org/c/s/...).
+ * Encoded Google News article ids need a network round-trip and are left alone.
+ */
+export function unwrapRedirect(url) {
+  let current = url;
+  for (let depth = 0; depth < MAX_UNWRAP_DEPTH; depth++) {
+    let parsed;
+    try {
+      parsed = new URL(current);
+    } catch (e) {
+      return current;
+    }
+    const host = parsed.hostname.toLowerCase().replace(HOST_PREFIXES, "");
+
+    const ampPath = host.endsWith("cdn.ampproject.org") || host === "google.com"
+      ? parsed.pathname.match(/^\/(?:amp|[cv])\/(s\/)?(.+)$/)
+      : null;
+    if (ampPath) {
+      current = `${ampPath[1] ? "https" : "http"}://${ampPath[2]}${parsed.search}`;
+      continue;
+    }
+
+    const target = (lookupDomain(REDIRECT_PARAMS, host) || []).map((key) => parsed.searchParams.get(key)).find((v) => /^https?:\/\//i.test(v || ""));
+    if (!target) return current;
+    current = target;
+  }
+  return current;
+}
+
+// "/news/amp/story-123", "/story-123/amp", "/story-123.amp.html" -> "/news/story-123", "/story-123", "/story-123.html"
+function stripAmpPath(pathname) {
+  return pathname
+    .replace(/\/amp(?=\/|$)/gi, "")
+    .replace(/\.amp(?=\.html?$|$)/i, "") || "/";
+}
+
+/**
+ * Canonical form of an article URL for dedup: https, no www./m./amp. host prefix, no AMP path
+ * variants, no fragment or trailing slash, and only the query params that identify the article
+ * (DEFAULT_KEEP_PARAMS plus per-domain `keepParams`), sorted. Returns the input unchanged when it
+ * isn't an http(s) URL.
+ */
+export function canonicalizeUrl(url) {
+  if (!url) return "";
+  let parsed;
+  try {
+    parsed = new URL(unwrapRedirect(String(url).trim()));
+  } catch (e) {
+    return url;
+  }
+  if (!/^https?:$/.test(parsed.protocol)) return url;
+
+  let host = parsed.hostname.toLowerCase().replace(/\.$/, "").replace(HOST_PREFIXES, "");
+  const rule = lookupDomain(DOMAIN_RULES, host) || {};
+  if (rule.host) host = rule.host;
+
+  const pathname = stripAmpPath(parsed.pathname.replace(/\/{2,}/g, "/")).replace(/\/+$/, "");
+
+  const keepAll = rule.keepParams?.includes("*");
+  const keep = new Set([...DEFAULT_KEEP_PARAMS, ...(rule.keepParams || [])].map((k) => k.toLowerCase()));
+  const params = [...parsed.searchParams]
+    .filter(([key, value]) => value !== "" && !isTrackingParam(key) && (keepAll || keep.has(key.toLowerCase())))
+    .sort(([a], [b]) => a.localeCompare(b));
+  const query = params.length > 0 ? `?${new URLSearchParams(params).toString()}` : "";
+
+  return `https://${host}${pathname}${query}`;
+}
+
+/**
+ * Canonical form of a page's declared canonical (rel=canonical / og:url, already resolved against
+ * `pageUrl`), or null when it can't be trusted as this article's own URL. Some sites point every
+ * article at the homepage, a section page or another host; taking that at face value would make
+ * every later article look like a duplicate of the first.
+ */
+export function trustedCanonicalUrl(declaredUrl, pageUrl) {
+  const declared = canonicalizeUrl(declaredUrl);
+  const page = canonicalizeUrl(pageUrl);
+  let declaredParsed;
+  let pageParsed;
+  try {
+    declaredParsed = new URL(declared);
+    pageParsed = new URL(page);
+  } catch (e) {
+    return null;
+  }
+  if (!/^https?:$/.test(declaredParsed.protocol) || declaredParsed.hostname !== pageParsed.hostname) return null;
+  if (declaredParsed.pathname === "/" || declaredParsed.pathname.length < pageParsed.pathname.length) return null;
+  return declared;
+}
@@ -0,0 +1,144 @@
+import { createHash } from "crypto";
+
+// --- NEAR-DUPLICATE FINGERPRINTS ---
+// Telugu-aware normalisation + MinHash over an order-insensitive shingle set, with LSH bands
+// stored on documents so candidates are found with an index lookup instead of a full scan.
+
+const NUM_HASHES = 64;
+const BAND_ROWS = 4; // 16 bands of 4 rows: pairs above ~0.5 Jaccard share at least one band
+
+const JOINERS = /[\u200B-\u200D\uFEFF]/g; // zero-width space, ZWNJ, ZWJ, BOM
+const TELUGU_NUKTA = /\u0C3C/g;
+// Long/short vowel spellings vary between outlets (సీఎం / సిఎం); compare on the short form.
+const VOWEL_LENGTH = { "ీ": "ి", "ూ": "ు", "ే": "ె", "ో": "ొ", "ఈ": "ఇ", "ఊ": "ఉ", "ఏ": "ఎ", "ఓ": "ఒ" };
+const VARIANT_LETTERS = { "ఱ": "ర", "ఁ": "ం" };
+
+export function normalizeForDedup(text) {
+  let out = String(text || "").normalize("NFC").toLowerCase().replace(JOINERS, "").replace(TELUGU_NUKTA, "");
+  out = out.replace(/[\u0C00-\u0C7F]/g, (ch) => VOWEL_LENGTH[ch] || VARIANT_LETTERS[ch] || ch);
+  out = out.replace(/[\u0C66-\u0C6F]/g, (d) => String(d.charCodeAt(0) - 0x0c66));
+  return out.replace(/[^\p{L}\p{M}\p{N}\s]/gu, " ").replace(/\s+/g, " ").trim();
+}
+
+// English loanwords and abbreviations written either way by different outlets.
+const LOANWORDS = Object.fromEntries(
+  Object.entries({
+    cm: "సీఎం",
+    mla: "ఎమ్మెల్యే",
+    "ఎంఎల్ఏ": "ఎమ్మెల్యే",
+    mp: "ఎంపీ",
+    police: "పోలీసు",
+    "పోలీస్": "పోలీసు",
+    hyderabad: "హైదరాబాద్",
+    "హైద్రాబాద్": "హైదరాబాద్",
+    bjp: "బీజేపీ",
+    congress: "కాంగ్రెస్",
+    brs: "బీఆర్ఎస్",
+    tdp: "టీడీపీ",
+    ysrcp: "వైసీపీ",
+    ktr: "కేటీఆర్",
+    kcr: "కేసీఆర్",
+    ipl: "ఐపీఎల్",
+  }).map(([from, to]) => [normalizeForDedup(from), normalizeForDedup(to)])
+);
+
+const STOPWORDS = new Set(
+  ["the", "a", "an", "of", "in", "to", "and", "for", "on", "is", "ఈ", "ఆ", "మరియు", "కూడా", "ఒక"].map(normalizeForDedup)
+);
+// Common case suffixes ("హైదరాబాద్‌లో" vs "హైదరాబాద్")
+const SUFFIXES = ["లో", "కు", "ను", "ని", "తో", "పై", "గా", "కి"].map(normalizeForDedup);
+
+function stemToken(token) {
+  for (const suffix of SUFFIXES) {
+    if (token.length > suffix.length + 2 && token.endsWith(suffix)) return token.slice(0, -suffix.length);
+  }
+  return token;
+}
+
+export function tokenize(text) {
+  return normalizeForDedup(text)
+    .split(" ")
+    .filter((t) => t && !STOPWORDS.has(t))
+    .map((t) => LOANWORDS[t] || t)
+    .map(stemToken)
+    .map((t) => LOANWORDS[t] || t);
+}
+
+// Tokens plus in-token character trigrams: insensitive to word order, tolerant of small spelling changes.
+export function shingle(text) {
+  const shingles = new Set();
+  for (const token of tokenize(text)) {
+    shingles.add(token);
+    const chars = Array.from(token);
+    for (let i = 0; i + 3 <= chars.length; i++) shingles.add(`#${chars.slice(i, i + 3).join("")}`);
+  }
+  return shingles;
+}
+
+function fnv1a(str, seed) {
+  let h = (2166136261 ^ seed) >>> 0;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 16777619);
+  }
+  return h >>> 0;
+}
+
+const SEEDS = Array.from({ length: NUM_HASHES }, (_, i) => Math.imul(i + 1, 0x9e3779b1) >>> 0);
+
+export function minhash(shingles) {
+  const signature = new Array(NUM_HASHES).fill(0xffffffff);
+  for (const s of shingles) {
+    for (let i = 0; i < NUM_HASHES; i++) {
+      const h = fnv1a(s, SEEDS[i]);
+      if (h < signature[i]) signature[i] = h;
+    }
+  }
+  return signature;
+}
+
+export function lshBands(signature) {
+  const bands = [];
+  for (let b = 0; b * BAND_ROWS < signature.length; b++) {
+    const rows = signature.slice(b * BAND_ROWS, (b + 1) * BAND_ROWS).join(".");
+    bands.push(`${b}:${fnv1a(rows, b).toString(36)}`);
+  }
+  return bands;
+}
+
+const FIELD_LABELS = /^(Title|Summary|Content):\s*/gim;
+
+// Title plus the start of the body; long bodies would drown the headline signal.
+export function fingerprintText(title, snippet = "", snippetChars = 300) {
+  return `${title || ""} ${String(snippet || "").replace(FIELD_LABELS, "").slice(0, snippetChars)}`.trim();
+}
+
+// Queue text is "Title: ...\nSummary: ..." for RSS/manual items and raw text for tweets.
+export function splitQueueText(text) {
+  const [first, ...rest] = String(text || "").split("\n");
+  if (/^Title:/i.test(first)) return { title: first.replace(FIELD_LABELS, ""), snippet: rest.join(" ") };
+  return { title: "", snippet: String(text || "") };
+}
+
+/** Fingerprint stored on Queue/Post as `dedup`; null when the text has nothing to compare. */
+export function computeFingerprint(text) {
+  const shingles = shingle(text);
+  if (shingles.size === 0) return null;
+  const signature = minhash(shingles);
+  return { minhash: signature, bands: lshBands(signature) };
+}
+
+// Exact-content key for the seen-item ledger: same normalised tokens, same hash.
+export function contentHash(text) {
+  const tokens = tokenize(text);
+  if (tokens.length === 0) return null;
+  return createHash("sha1").update(tokens.join(" ")).digest("hex");
+}
+
+// Estimated Jaccard similarity of the two shingle sets.
+export function fingerprintSimilarity(a, b) {
+  if (!a?.length || !b?.length || a.length !== b.length) return 0;
+  let same = 0;
+  for (let i = 0; i < a.length; i++) if (a[i] === b[i]) same++;
+  return same / a.length;
+}
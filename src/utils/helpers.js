@@ -1,19 +1,14 @@
+import { canonicalizeUrl } from "./canonicalUrl.js";
+
 export const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
 
 export const generatePostId = () => Math.floor(100000000 + Math.random() * 900000000);
 
-export function normalizeUrl(url) {
-  if (!url) return "";
-  try {
-    const urlObj = new URL(url);
-    urlObj.search = "";
-    let cleanUrl = urlObj.toString();
-    if (cleanUrl.endsWith("/")) cleanUrl = cleanUrl.slice(0, -1);
-    return cleanUrl;
-  } catch (e) {
-    return url;
-  }
-}
+// User input used inside a $regex / RegExp as a literal string
+export const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Dedup key for a URL; see utils/canonicalUrl.js for the rules.
+export const normalizeUrl = (url) => canonicalizeUrl(url);
 
 export function extractSlugFromUrl(url) {
   if (!url) return "";
@@ -29,4 +24,14 @@ export function extractSlugFromUrl(url) {
   } catch (e) {
     return "";
   }
-}
\ No newline at end of file
+}
+
+export function slugify(text) {
+  if (!text) return "";
+  return String(text)
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
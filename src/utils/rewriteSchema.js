@@ -0,0 +1,158 @@
+import { NEWS_CATEGORIES, SUMMARY_MIN_WORDS, SUMMARY_MAX_WORDS, ENTITY_TYPES, MAX_ENTITIES_PER_POST } from "../config/constants.js";
+import { countWords, splitSentences } from "./telugu.js";
+
+const TELUGU_CHAR = /[\u0C00-\u0C7F]/g;
+const LATIN_CHAR = /[A-Za-z]/g;
+// Acronyms and team/party codes (IPL, RCB, YSRCP, G20) are written in Latin script in Telugu headlines too
+const ACRONYM = /\b[A-Z][A-Z0-9]+\b/g;
+
+const CATEGORY_ALIASES = {
+  movies: "Cinema",
+  entertainment: "Cinema",
+  film: "Cinema",
+  tech: "Technology",
+  science: "Technology",
+  economy: "Business",
+  finance: "Business",
+  sport: "Sports",
+  cricket: "Sports",
+  national: "General",
+  international: "General",
+  news: "General",
+};
+
+// Closes an unterminated string and any open objects/arrays left by a truncated response.
+function closeTruncatedJson(str) {
+  const stack = [];
+  let inString = false;
+  let escaped = false;
+  for (const ch of str) {
+    if (escaped) { escaped = false; continue; }
+    if (ch === "\\") { escaped = true; continue; }
+    if (ch === '"') { inString = !inString; continue; }
+    if (inString) continue;
+    if (ch === "{" || ch === "[") stack.push(ch === "{" ? "}" : "]");
+    else if (ch === "}" || ch === "]") stack.pop();
+  }
+  let fixed = str;
+  if (inString) fixed += '"';
+  fixed = fixed.replace(/,\s*$/, "").replace(/,?\s*"[^"]*"\s*:\s*$/, "");
+  return fixed + stack.reverse().join("");
+}
+
+/**
+ * Parses raw model text into an object, tolerating markdown fences, prose around the JSON
+ * and truncated output. `repaired` is true when the text was not valid JSON as-is.
+ */
+export function parseModelJson(raw) {
+  if (typeof raw !== "string" || !raw.trim()) return { data: null, repaired: false, error: "Empty response" };
+
+  let text = raw.replace(/```(?:json)?/gi, "").trim();
+  try {
+    return { data: JSON.parse(text), repaired: text !== raw.trim(), error: null };
+  } catch (e) {
+    const start = text.indexOf("{");
+    if (start === -1) return { data: null, repaired: false, error: "No JSON object in response" };
+    const end = text.lastIndexOf("}");
+    const candidates = [end > start ? text.slice(start, end + 1) : null, closeTruncatedJson(text.slice(start))].filter(Boolean);
+    for (const candidate of candidates) {
+      try {
+        return { data: JSON.parse(candidate), repaired: true, error: null };
+      } catch (_) {
+        // try next candidate
+      }
+    }
+    return { data: null, repaired: false, error: `Invalid JSON: ${e.message}` };
+  }
+}
+
+export function normalizeCategory(category) {
+  if (!category) return null;
+  const key = String(category).trim().toLowerCase();
+  return NEWS_CATEGORIES.find((c) => c.toLowerCase() === key) || CATEGORY_ALIASES[key] || null;
+}
+
+// Entities are optional (older stored prompts do not ask for them); malformed entries are dropped.
+export function normalizeEntities(entities) {
+  if (!Array.isArray(entities)) return [];
+  const seen = new Set();
+  return entities
+    .map((e) => ({
+      name_en: typeof e?.name_en === "string" ? e.name_en.trim() : "",
+      name_te: typeof e?.name_te === "string" ? e.name_te.trim() : "",
+      type: ENTITY_TYPES.includes(String(e?.type).toLowerCase()) ? String(e.type).toLowerCase() : "other",
+    }))
+    .filter((e) => /[a-z]/i.test(e.name_en) && !seen.has(e.name_en.toLowerCase()) && seen.add(e.name_en.toLowerCase()))
+    .slice(0, MAX_ENTITIES_PER_POST);
+}
+
+/**
+ * Validates rewrite output: { title, summary, category, slug_en, entities? }.
+ * Returns the normalised value plus a list of human readable errors (empty when valid).
+ */
+export function validateRewrite(data) {
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    return { valid: false, errors: ["Output is not a JSON object"], value: null };
+  }
+
+  const errors = [];
+  const title = typeof data.title === "string" ? data.title.trim() : "";
+  const summary = typeof data.summary === "string" ? data.summary.trim() : "";
+  const slug = typeof data.slug_en === "string" ? data.slug_en.trim().toLowerCase() : "";
+  const category = normalizeCategory(data.category);
+
+  if (!title) errors.push("title is missing");
+  else {
+    const telugu = (title.match(TELUGU_CHAR) || []).length;
+    const latin = (title.replace(ACRONYM, "").match(LATIN_CHAR) || []).length;
+    if (telugu === 0 || latin > telugu) errors.push("title must be written in Telugu, not English");
+  }
+
+  if (!summary) errors.push("summary is missing");
+  else {
+    const words = countWords(summary);
+    if (words < SUMMARY_MIN_WORDS) {
+      errors.push(`summary has ${words} words; it must be ${SUMMARY_MIN_WORDS}-${SUMMARY_MAX_WORDS} words (add a key detail)`);
+    } else if (words > SUMMARY_MAX_WORDS) {
+      errors.push(`summary has ${words} words; it must be ${SUMMARY_MIN_WORDS}-${SUMMARY_MAX_WORDS} words (remove the least important sentence)`);
+    }
+  }
+
+  if (!category) errors.push(`category "${data.category ?? ""}" is not one of: ${NEWS_CATEGORIES.join(", ")}`);
+  if (slug.length < 3) errors.push("slug_en is missing");
+  else if (!/^[a-z0-9][a-z0-9 -]*$/.test(slug)) errors.push("slug_en must be plain English words");
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    value: { ...data, title, summary, category: category || data.category, slug_en: slug, entities: normalizeEntities(data.entities) },
+  };
+}
+
+export const isSummaryLengthError = (error) => error.startsWith("summary has ");
+
+/**
+ * Last resort for an over-long summary: drop trailing sentences while the result stays in range.
+ * Returns null when no sentence boundary lands inside the range.
+ */
+export function fitSummaryLength(summary) {
+  const sentences = splitSentences(summary);
+  for (let keep = sentences.length - 1; keep > 0; keep--) {
+    const candidate = sentences.slice(0, keep).join(" ");
+    const words = countWords(candidate);
+    if (words < SUMMARY_MIN_WORDS) break;
+    if (words <= SUMMARY_MAX_WORDS) return candidate;
+  }
+  return null;
+}
+
+export function getLengthStats(title, summary) {
+  const words = countWords(summary);
+  return {
+    titleWords: countWords(title),
+    summaryWords: words,
+    summarySentences: splitSentences(summary).length,
+    summaryRange: [SUMMARY_MIN_WORDS, SUMMARY_MAX_WORDS],
+    withinRange: words >= SUMMARY_MIN_WORDS && words <= SUMMARY_MAX_WORDS,
+  };
+}
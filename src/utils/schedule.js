@@ -0,0 +1,23 @@
+import { SCHEDULE_TIMEZONE } from "../config/constants.js";
+
+// The scheduler ticks once a minute; without slack a 2-minute source would often wait 3.
+const DUE_TOLERANCE_MS = 30 * 1000;
+
+const hourFormatter = new Intl.DateTimeFormat("en-GB", { hour: "numeric", hourCycle: "h23", timeZone: SCHEDULE_TIMEZONE });
+
+export const hourInScheduleZone = (date = new Date()) => parseInt(hourFormatter.format(date), 10);
+
+// `activeHours` is { start, end } in whole hours, end exclusive; windows may wrap midnight.
+export function isWithinActiveHours(activeHours, date = new Date()) {
+  const { start, end } = activeHours || {};
+  if (start == null || end == null || start === end) return true;
+  const hour = hourInScheduleZone(date);
+  return start < end ? hour >= start && hour < end : hour >= start || hour < end;
+}
+
+// Due when inside its active hours and at least `fetchIntervalMinutes` since the last fetch.
+export function isSourceDue(source, now = new Date()) {
+  if (!isWithinActiveHours(source.activeHours, now)) return false;
+  if (!source.lastFetchedAt) return true;
+  return now.getTime() - new Date(source.lastFetchedAt).getTime() >= source.fetchIntervalMinutes * 60 * 1000 - DUE_TOLERANCE_MS;
+}
@@ -0,0 +1,68 @@
+import { tokenize } from "./dedup.js";
+import { detectLanguage } from "./telugu.js";
+
+// --- SOURCE FILTER RULES ---
+// Evaluated before an item is queued so unwanted items (horoscopes, live scores, web stories) never
+// cost a Gemini call. Keywords are matched on dedup tokens of the title, so case, Telugu spelling
+// variants and loanword spellings (TDP / టీడీపీ) don't matter; patterns are case-insensitive regexes.
+
+const compile = (pattern) => new RegExp(pattern, "i");
+
+export function isValidPattern(pattern) {
+  if (!pattern) return true;
+  try {
+    compile(pattern);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+// Word-prefix match, so "horoscope" also catches "horoscopes"
+const containsKeyword = (titleTokens, keyword) => {
+  const needle = tokenize(keyword).join(" ");
+  return needle && ` ${titleTokens} `.includes(` ${needle}`);
+};
+
+function urlPath(url) {
+  try {
+    const parsed = new URL(url);
+    return parsed.pathname + parsed.search;
+  } catch (e) {
+    return String(url || "");
+  }
+}
+
+/**
+ * Returns the reason `item` ({ title, text, url, categories, lang }) is rejected by `filters`, or null
+ * when it passes. `text` is the body used for the length check; `lang` falls back to script detection.
+ */
+export function evaluateFilters(filters, { title = "", text = "", url = "", categories = [], lang = null }) {
+  if (!filters) return null;
+  const titleTokens = tokenize(title).join(" ");
+
+  const excluded = (filters.excludeKeywords || []).find((k) => containsKeyword(titleTokens, k));
+  if (excluded) return `Title contains excluded keyword "${excluded}"`;
+  if (filters.excludeTitlePattern && compile(filters.excludeTitlePattern).test(title)) return `Title matches ${filters.excludeTitlePattern}`;
+
+  const includeKeywords = filters.includeKeywords || [];
+  if (includeKeywords.length > 0 && !includeKeywords.some((k) => containsKeyword(titleTokens, k))) return "Title has none of the include keywords";
+  if (filters.titlePattern && !compile(filters.titlePattern).test(title)) return `Title does not match ${filters.titlePattern}`;
+
+  const path = urlPath(url);
+  const urlPattern = (filters.excludeUrlPatterns || []).find((p) => compile(p).test(path));
+  if (urlPattern) return `URL matches ${urlPattern}`;
+
+  const excludedCategories = new Set((filters.excludeCategories || []).map((c) => c.toLowerCase()));
+  const category = categories.find((c) => excludedCategories.has(String(c).toLowerCase()));
+  if (category) return `Category "${category}" is excluded`;
+
+  const length = `${title} ${text}`.trim().length;
+  if (filters.minContentLength && length < filters.minContentLength) return `Content too short (${length} < ${filters.minContentLength} chars)`;
+
+  const languages = filters.languages || [];
+  const language = lang || detectLanguage(`${title} ${text}`);
+  if (languages.length > 0 && language && !languages.includes(language)) return `Language "${language}" not allowed`;
+
+  return null;
+}
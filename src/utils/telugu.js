@@ -0,0 +1,143 @@
+// --- TELUGU TEXT UTILITIES ---
+// Word/sentence counting and truncation that are safe for Telugu mixed with English and numerals.
+
+const VIRAMA = "\u0C4D";
+const ZWJ = "\u200D";
+const ZWNJ = "\u200C";
+
+// A token is a word only if it carries a letter or digit; stray dashes, pipes and quotes are not words.
+const WORD_CHAR = /[\p{L}\p{N}]/u;
+// Sentence punctuation glued to the next word ("చెప్పారు.అయితే") still separates words.
+const GLUED_PUNCTUATION = /([.!?।॥,;:])(?=[\p{L}])/gu;
+const SENTENCE_END = /(?<=[.!?।॥])\s+/u;
+const TRAILING_SEPARATORS = /[\s\-–—,;:|]+$/u;
+
+const graphemeSegmenter = typeof Intl !== "undefined" && Intl.Segmenter
+  ? new Intl.Segmenter("te", { granularity: "grapheme" })
+  : null;
+
+export function splitWords(text) {
+  if (!text) return [];
+  return String(text)
+    .normalize("NFC")
+    .replace(GLUED_PUNCTUATION, "$1 ")
+    .split(/\s+/)
+    .filter((token) => WORD_CHAR.test(token));
+}
+
+export const countWords = (text) => splitWords(text).length;
+
+export function splitSentences(text) {
+  if (!text) return [];
+  return String(text)
+    .normalize("NFC")
+    .replace(GLUED_PUNCTUATION, "$1 ")
+    .split(SENTENCE_END)
+    .map((s) => s.trim())
+    .filter((s) => WORD_CHAR.test(s));
+}
+
+export function splitGraphemes(text) {
+  if (!text) return [];
+  if (graphemeSegmenter) return [...graphemeSegmenter.segment(String(text))].map((s) => s.segment);
+  return Array.from(String(text));
+}
+
+// Older ICU builds split conjuncts (క్ + ష); never end on a half-formed one.
+function dropDanglingJoiners(graphemes) {
+  while (graphemes.length > 0) {
+    const last = graphemes[graphemes.length - 1];
+    if (last.endsWith(VIRAMA) || last.endsWith(ZWJ) || last.endsWith(ZWNJ)) graphemes.pop();
+    else break;
+  }
+  return graphemes;
+}
+
+/**
+ * Truncates to at most `maxGraphemes` user-perceived characters without breaking a conjunct
+ * or leaving a dangling virama. Prefers the last word boundary when one is close enough.
+ */
+export function truncateGraphemes(text, maxGraphemes, { ellipsis = "" } = {}) {
+  const graphemes = splitGraphemes(text);
+  if (graphemes.length <= maxGraphemes) return String(text || "");
+
+  let kept = graphemes.slice(0, maxGraphemes);
+  const lastSpace = kept.lastIndexOf(" ");
+  if (lastSpace > maxGraphemes * 0.6) kept = kept.slice(0, lastSpace);
+
+  return dropDanglingJoiners(kept).join("").replace(TRAILING_SEPARATORS, "") + ellipsis;
+}
+
+export function truncateWords(text, maxWords, { ellipsis = "" } = {}) {
+  if (countWords(text) <= maxWords) return String(text || "");
+  const tokens = String(text).normalize("NFC").replace(GLUED_PUNCTUATION, "$1 ").split(/(\s+)/);
+  let words = 0;
+  let out = "";
+  for (const token of tokens) {
+    out += token;
+    if (WORD_CHAR.test(token) && ++words === maxWords) break;
+  }
+  return out.replace(TRAILING_SEPARATORS, "") + ellipsis;
+}
+
+export function getTextStats(text) {
+  return {
+    words: countWords(text),
+    sentences: splitSentences(text).length,
+    graphemes: splitGraphemes(text).length,
+  };
+}
+
+// --- TRANSLITERATION ---
+// Simple Telugu -> Latin mapping, good enough to compare names across scripts (not for display).
+const INDEPENDENT_VOWELS = {
+  "అ": "a", "ఆ": "aa", "ఇ": "i", "ఈ": "ii", "ఉ": "u", "ఊ": "uu", "ఋ": "ru",
+  "ఎ": "e", "ఏ": "ee", "ఐ": "ai", "ఒ": "o", "ఓ": "oo", "ఔ": "au",
+};
+const CONSONANTS = {
+  "క": "k", "ఖ": "kh", "గ": "g", "ఘ": "gh", "ఙ": "ng", "చ": "ch", "ఛ": "chh", "జ": "j", "ఝ": "jh", "ఞ": "ny",
+  "ట": "t", "ఠ": "th", "డ": "d", "ఢ": "dh", "ణ": "n", "త": "t", "థ": "th", "ద": "d", "ధ": "dh", "న": "n",
+  "ప": "p", "ఫ": "ph", "బ": "b", "భ": "bh", "మ": "m", "య": "y", "ర": "r", "ఱ": "r", "ల": "l", "ళ": "l",
+  "వ": "v", "శ": "sh", "ష": "sh", "స": "s", "హ": "h",
+};
+const VOWEL_SIGNS = {
+  "ా": "aa", "ి": "i", "ీ": "ii", "ు": "u", "ూ": "uu", "ృ": "ru",
+  "ె": "e", "ే": "ee", "ై": "ai", "ొ": "o", "ో": "oo", "ౌ": "au",
+};
+const OTHER_SIGNS = { "ం": "n", "ః": "h", "ఁ": "n" };
+
+export function transliterate(text) {
+  const chars = Array.from(String(text || "").normalize("NFC"));
+  let out = "";
+  for (let i = 0; i < chars.length; i++) {
+    const ch = chars[i];
+    if (CONSONANTS[ch]) {
+      out += CONSONANTS[ch];
+      const next = chars[i + 1];
+      if (VOWEL_SIGNS[next]) {
+        out += VOWEL_SIGNS[next];
+        i++;
+      } else if (next === VIRAMA) {
+        i++;
+      } else {
+        out += "a";
+      }
+    } else if (INDEPENDENT_VOWELS[ch]) out += INDEPENDENT_VOWELS[ch];
+    else if (OTHER_SIGNS[ch]) out += OTHER_SIGNS[ch];
+    else if (ch >= "౦" && ch <= "౯") out += String(ch.charCodeAt(0) - 0x0c66);
+    else if (ch !== ZWJ && ch !== ZWNJ) out += ch;
+  }
+  return out;
+}
+
+// --- LANGUAGE ---
+const TELUGU_LETTER = /[\u0C00-\u0C7F]/g;
+const LATIN_LETTER = /[A-Za-z]/g;
+
+// "te" when Telugu script dominates, "en" when Latin does, null for text with neither (numbers, emoji).
+export function detectLanguage(text) {
+  const telugu = (String(text || "").match(TELUGU_LETTER) || []).length;
+  const latin = (String(text || "").match(LATIN_LETTER) || []).length;
+  if (telugu === 0 && latin === 0) return null;
+  return telugu >= latin ? "te" : "en";
+}
@@ -0,0 +1,134 @@
+// --- TWEET SHAPING ---
+// Turns a handle's raw timeline (twitterapi.io tweet objects, newest first) into queueable items
+// according to the handle's tweetTypes settings: replies to others and retweets can be dropped,
+// retweets unwrapped to the original, quoted tweets appended as context and self-reply threads
+// stitched into one item.
+
+export const tweetAuthor = (tweet) => tweet?.author || tweet?.user || null;
+const authorHandle = (tweet) => String(tweetAuthor(tweet)?.userName || tweetAuthor(tweet)?.screen_name || "").toLowerCase();
+
+const isRetweet = (tweet) => !!tweet.retweeted_tweet || /^RT @\w+:/.test(tweet.text || "");
+const isReply = (tweet) => !!(tweet.isReply || tweet.inReplyToId);
+const isSelfReply = (tweet, handle) => isReply(tweet) && String(tweet.inReplyToUsername || "").toLowerCase() === handle;
+
+const byId = (a, b) => (BigInt(a.id) < BigInt(b.id) ? -1 : BigInt(a.id) > BigInt(b.id) ? 1 : 0);
+
+function withQuote(tweet, includeQuotes) {
+  const quoted = tweet.quoted_tweet;
+  if (!includeQuotes || !quoted?.text) return tweet.text || "";
+  const name = tweetAuthor(quoted)?.userName || tweetAuthor(quoted)?.screen_name;
+  return `${tweet.text || ""}\n\nQuoting${name ? ` @${name}` : ""}: ${quoted.text}`;
+}
+
+const mediaOf = (tweet) => tweet.extendedEntities?.media || tweet.media || [];
+
+/**
+ * Returns { items, skipped }. Each item is { tweet, text, media, partIds, threadId }: `tweet` is the
+ * tweet the item is keyed on (the original for an unwrapped retweet, the first tweet of a thread),
+ * `partIds` the other tweet ids folded into it, and `threadId` the conversation id for the handle's
+ * own tweets when threads are stitched. Skipped entries are { tweet, reason }.
+ *
+ * Threads are stitched within the fetched batch; twitterService appends a continuation whose start
+ * came in an earlier fetch to that thread's queue item.
+ */
+export function shapeTweets(tweets, userName, settings = {}) {
+  const { skipReplies = true, retweets = "unwrap", includeQuotes = true, stitchThreads = true } = settings;
+  const handle = String(userName || "").toLowerCase();
+  const items = [];
+  const skipped = [];
+  const threads = new Map(); // conversationId -> tweets authored by the handle in that thread
+
+  for (const raw of tweets) {
+    let tweet = raw;
+    if (isRetweet(raw)) {
+      if (retweets === "skip") {
+        skipped.push({ tweet: raw, reason: "Retweet" });
+        continue;
+      }
+      if (retweets === "unwrap" && raw.retweeted_tweet) tweet = raw.retweeted_tweet;
+    }
+
+    if (isReply(tweet) && !isSelfReply(tweet, authorHandle(tweet) || handle)) {
+      if (skipReplies) {
+        skipped.push({ tweet: raw, reason: `Reply to @${tweet.inReplyToUsername || "unknown"}` });
+        continue;
+      }
+    } else if (stitchThreads && tweet === raw && tweet.conversationId && authorHandle(tweet) === handle) {
+      if (!threads.has(tweet.conversationId)) threads.set(tweet.conversationId, []);
+      threads.get(tweet.conversationId).push(tweet);
+      continue;
+    }
+
+    items.push({ tweet, text: withQuote(tweet, includeQuotes), media: mediaOf(tweet), partIds: [] });
+  }
+
+  for (const parts of threads.values()) {
+    parts.sort(byId);
+    const [first, ...rest] = parts;
+    items.push({
+      tweet: first,
+      text: parts.map((t) => withQuote(t, includeQuotes)).join("\n\n"),
+      media: parts.flatMap(mediaOf),
+      partIds: rest.map((t) => t.id),
+      threadId: first.conversationId,
+    });
+  }
+
+  return { items, skipped };
+}
+
+const TWEET_URL = /^https?:\/\/(?:(?:www|mobile|m)\.)?(?:twitter|x|fxtwitter|vxtwitter)\.com\/(?:[^/]+|i(?:\/web)?)\/status(?:es)?\/(\d{5,25})/i;
+
+// Tweet id from a bare id or a status URL (twitter.com, x.com, mobile and embed mirrors); null otherwise.
+export function extractTweetId(input) {
+  const value = String(input || "").trim();
+  if (/^\d{5,25}$/.test(value)) return value;
+  return value.match(TWEET_URL)?.[1] || null;
+}
+
+// --- TWEET MEDIA ---
+
+function dimensions(media) {
+  const size = media.original_info || media.sizes?.large || {};
+  return { width: size.width ?? size.w ?? null, height: size.height ?? size.h ?? null };
+}
+
+// Highest-bitrate MP4; animated GIFs come as a single MP4 variant with bitrate 0
+const bestMp4 = (media) =>
+  (media.video_info?.variants || [])
+    .filter((v) => v.content_type === "video/mp4" && v.url)
+    .sort((a, b) => (b.bitrate || 0) - (a.bitrate || 0))[0] || null;
+
+/**
+ * Maps a tweet's media entities to Post fields: `media` ({ mediaType, url, width, height, posterUrl })
+ * for every photo, video and GIF, the first image (or video poster) as `imageUrl`, the first video/GIF
+ * as `videoUrl`, and the post `type`: normal_video with a video, normal_carousel with several photos.
+ */
+export function extractTweetMedia(mediaList = []) {
+  const media = [];
+  const seenUrls = new Set();
+  for (const entity of mediaList) {
+    const poster = entity.media_url_https || entity.url || null;
+    let entry;
+    if (entity.type === "video" || entity.type === "animated_gif") {
+      const variant = bestMp4(entity);
+      if (!variant) continue;
+      entry = { mediaType: entity.type === "video" ? "video" : "gif", url: variant.url, posterUrl: poster, ...dimensions(entity) };
+    } else if (poster) {
+      entry = { mediaType: "image", url: poster, ...dimensions(entity) };
+    }
+    if (entry && !seenUrls.has(entry.url)) {
+      seenUrls.add(entry.url);
+      media.push(entry);
+    }
+  }
+
+  const images = media.filter((m) => m.mediaType === "image");
+  const video = media.find((m) => m.mediaType !== "image");
+  return {
+    media,
+    imageUrl: images[0]?.url || video?.posterUrl || null,
+    videoUrl: video?.url || null,
+    type: video ? "normal_video" : images.length > 1 ? "normal_carousel" : "normal_post",
+  };
+}
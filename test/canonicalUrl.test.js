@@ -0,0 +1,46 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { canonicalizeUrl, unwrapRedirect, trustedCanonicalUrl } from "../src/utils/canonicalUrl.js";
+
+test("canonicalizeUrl drops tracking params, fragments, mobile hosts and AMP paths", () => {
+  assert.equal(canonicalizeUrl("http://m.example.com/news/amp/story-1/?utm_source=x&id=5#top"), "https://example.com/news/story-1?id=5");
+  assert.equal(canonicalizeUrl("https://www.example.com/story-1.amp.html?fbclid=abc"), "https://example.com/story-1.html");
+  assert.equal(canonicalizeUrl("https://example.com//a//b/"), "https://example.com/a/b");
+});
+
+test("canonicalizeUrl keeps article-identifying params, sorted", () => {
+  assert.equal(canonicalizeUrl("https://example.com/index.php?p=12&id=3&page=2"), "https://example.com/index.php?id=3&p=12");
+  assert.equal(canonicalizeUrl("https://www.youtube.com/watch?v=abc&feature=share"), "https://youtube.com/watch?v=abc");
+});
+
+test("canonicalizeUrl maps twitter.com aliases to x.com", () => {
+  assert.equal(canonicalizeUrl("https://mobile.twitter.com/user/status/123?s=20"), "https://x.com/user/status/123");
+  assert.equal(canonicalizeUrl("https://vxtwitter.com/user/status/123"), "https://x.com/user/status/123");
+});
+
+test("canonicalizeUrl unwraps redirect and AMP cache links", () => {
+  assert.equal(canonicalizeUrl("https://www.google.com/url?q=https%3A%2F%2Fwww.eenadu.net%2Fa%3Futm_medium%3Dx"), "https://eenadu.net/a");
+  assert.equal(canonicalizeUrl("https://www-example-com.cdn.ampproject.org/c/s/example.com/story.amp.html"), "https://example.com/story.html");
+  assert.equal(unwrapRedirect("https://l.facebook.com/l.php?u=https%3A%2F%2Fexample.com%2Fx"), "https://example.com/x");
+});
+
+test("canonicalizeUrl leaves non-http input alone", () => {
+  assert.equal(canonicalizeUrl(""), "");
+  assert.equal(canonicalizeUrl("not a url"), "not a url");
+  assert.equal(canonicalizeUrl("ftp://example.com/a"), "ftp://example.com/a");
+});
+
+test("trustedCanonicalUrl accepts a page's own canonical, in canonical form", () => {
+  const page = "https://m.example.com/news/amp/story-123?utm_source=tw";
+  assert.equal(trustedCanonicalUrl("https://www.example.com/news/story-123/", page), "https://example.com/news/story-123");
+  assert.equal(trustedCanonicalUrl("https://example.com/news/2024/story-123", "https://example.com/story-123"), "https://example.com/news/2024/story-123");
+});
+
+test("trustedCanonicalUrl rejects homepage, section and cross-host canonicals", () => {
+  const page = "https://example.com/politics/story-123";
+  assert.equal(trustedCanonicalUrl("https://example.com/", page), null);
+  assert.equal(trustedCanonicalUrl("https://example.com", page), null);
+  assert.equal(trustedCanonicalUrl("https://example.com/politics", page), null);
+  assert.equal(trustedCanonicalUrl("https://other-site.com/politics/story-123", page), null);
+  assert.equal(trustedCanonicalUrl("not a url", page), null);
+});
@@ -0,0 +1,56 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  normalizeForDedup,
+  tokenize,
+  computeFingerprint,
+  contentHash,
+  fingerprintSimilarity,
+  fingerprintText,
+  splitQueueText,
+} from "../src/utils/dedup.js";
+
+test("normalizeForDedup folds Telugu vowel length, joiners and digits", () => {
+  assert.equal(normalizeForDedup("సీఎం"), normalizeForDedup("సిఎం"));
+  assert.equal(normalizeForDedup("హైదరాబాద్‌లో"), normalizeForDedup("హైదరాబాద్లో"));
+  assert.equal(normalizeForDedup("౨౦౨౪"), "2024");
+  assert.equal(normalizeForDedup("  Hello,   World! "), "hello world");
+});
+
+test("tokenize maps loanwords to one spelling and strips case suffixes", () => {
+  assert.deepEqual(tokenize("TDP"), tokenize("టీడీపీ"));
+  assert.deepEqual(tokenize("CM"), tokenize("సీఎం"));
+  assert.deepEqual(tokenize("హైదరాబాద్‌లో"), tokenize("Hyderabad"));
+  assert.deepEqual(tokenize("the CM of the state"), tokenize("CM state"));
+});
+
+test("computeFingerprint and contentHash are null for text with nothing to compare", () => {
+  assert.equal(computeFingerprint(""), null);
+  assert.equal(computeFingerprint("!!! ..."), null);
+  assert.equal(contentHash("the a of"), null);
+});
+
+test("contentHash ignores punctuation, case and spelling variants", () => {
+  assert.equal(contentHash("CM visits Hyderabad!"), contentHash("cm visits హైదరాబాద్"));
+  assert.notEqual(contentHash("CM visits Hyderabad"), contentHash("CM leaves Hyderabad"));
+});
+
+test("fingerprintSimilarity ranks reworded headlines above unrelated ones", () => {
+  const a = computeFingerprint("సీఎం రేవంత్ రెడ్డి హైదరాబాద్‌లో మెట్రో విస్తరణకు శంకుస్థాపన");
+  const b = computeFingerprint("హైదరాబాద్ మెట్రో విస్తరణకు సిఎం రేవంత్ రెడ్డి శంకుస్థాపన");
+  const c = computeFingerprint("ఐపీఎల్ ఫైనల్‌లో చెన్నై జట్టు ఘన విజయం");
+  assert.equal(a.minhash.length, 64);
+  assert.equal(a.bands.length, 16);
+  assert.equal(fingerprintSimilarity(a.minhash, a.minhash), 1);
+  assert.ok(fingerprintSimilarity(a.minhash, b.minhash) > 0.8);
+  assert.ok(fingerprintSimilarity(a.minhash, c.minhash) < 0.2);
+  assert.equal(fingerprintSimilarity(a.minhash, []), 0);
+  assert.equal(fingerprintSimilarity(a.minhash, a.minhash.slice(1)), 0);
+});
+
+test("splitQueueText and fingerprintText drop the Title/Summary labels", () => {
+  assert.deepEqual(splitQueueText("Title: Big news\nSummary: Details here"), { title: "Big news", snippet: "Summary: Details here" });
+  assert.deepEqual(splitQueueText("just a tweet"), { title: "", snippet: "just a tweet" });
+  assert.equal(fingerprintText("Big news", "Summary: Details here"), "Big news Details here");
+  assert.equal(fingerprintText("T", "x".repeat(500), 10), `T ${"x".repeat(10)}`);
+});
@@ -0,0 +1,77 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseFeedItems } from "../src/services/feedParserService.js";
+
+const RSS = `<?xml version="1.0"?>
+<rss version="2.0" xmlns:media="http://search.yahoo.com/mrss/">
+  <channel><title>Feed</title>
+    <item><title>Older</title><link>https://example.com/older</link><pubDate>Mon, 01 Jan 2024 08:00:00 GMT</pubDate>
+      <category>Politics</category><category domain="x">Politics</category><category>AP</category></item>
+    <item><title>Newer</title><link>https://example.com/newer</link><pubDate>Tue, 02 Jan 2024 08:00:00 GMT</pubDate>
+      <media:content url="https://example.com/newer.jpg" /></item>
+  </channel>
+</rss>`;
+
+const ATOM = `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom"><title>Atom</title>
+  <entry><id>urn:1</id><title>Entry</title><link href="https://example.com/entry"/><updated>2024-01-03T00:00:00Z</updated>
+    <category term="Sports"/><category term="Cricket" label="Cricket"/></entry>
+</feed>`;
+
+const SITEMAP = `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:news="http://www.google.com/schemas/sitemap-news/0.9" xmlns:image="http://www.google.com/schemas/sitemap-image/1.1">
+  <url><loc>https://example.com/a</loc>
+    <news:news><news:publication><news:name>Example</news:name></news:publication>
+      <news:publication_date>2024-01-01T10:00:00+05:30</news:publication_date><news:title>First</news:title>
+      <news:keywords>TDP, Amaravati, TDP</news:keywords></news:news>
+    <image:image><image:loc>https://example.com/a.jpg</image:loc></image:image></url>
+  <url><loc>https://example.com/b</loc>
+    <news:news><news:publication_date>2024-01-02T10:00:00+05:30</news:publication_date><news:title>Second</news:title></news:news></url>
+  <url><loc>https://example.com/no-title</loc></url>
+</urlset>`;
+
+test("RSS items come back newest first with deduplicated categories as keywords", async () => {
+  const items = await parseFeedItems("rss", RSS);
+  assert.deepEqual(items.map((i) => i.title), ["Newer", "Older"]);
+  assert.equal(items[0].imageUrl, "https://example.com/newer.jpg");
+  assert.deepEqual(items[1].keywords, ["Politics", "AP"]);
+  assert.ok(items[0].publishedAt instanceof Date);
+});
+
+test("Atom category terms are read as keywords", async () => {
+  const [entry] = await parseFeedItems("atom", ATOM);
+  assert.equal(entry.guid, "urn:1");
+  assert.equal(entry.link, "https://example.com/entry");
+  assert.deepEqual(entry.keywords, ["Sports", "Cricket"]);
+});
+
+test("JSON Feed items map url, summary, image and tags; undated items sort last", async () => {
+  const feed = {
+    version: "https://jsonfeed.org/version/1.1",
+    items: [
+      { id: 1, url: "https://example.com/undated", title: "Undated", content_html: "<p>Hello <b>world</b></p>" },
+      { id: "2", url: "https://example.com/dated", title: "Dated", summary: "Sum", image: "https://example.com/i.jpg", tags: ["x"], date_published: "2024-01-01T00:00:00Z" },
+    ],
+  };
+  const items = await parseFeedItems("jsonfeed", JSON.stringify(feed));
+  assert.deepEqual(items.map((i) => i.guid), ["2", "1"]);
+  assert.equal(items[0].contentSnippet, "Sum");
+  assert.deepEqual(items[0].keywords, ["x"]);
+  assert.equal(items[1].contentSnippet, "Hello world");
+  assert.equal(items[1].publishedAt, null);
+  await assert.rejects(parseFeedItems("jsonfeed", "{}"), /Not a JSON Feed/);
+});
+
+test("news sitemaps yield titled URLs with keywords, image and publication name", async () => {
+  const items = await parseFeedItems("news-sitemap", SITEMAP);
+  assert.deepEqual(items.map((i) => i.link), ["https://example.com/b", "https://example.com/a"]);
+  assert.deepEqual(items[1].keywords, ["TDP", "Amaravati"]);
+  assert.equal(items[1].imageUrl, "https://example.com/a.jpg");
+  assert.equal(items[1].itemSource, "Example");
+  assert.equal(items[0].imageUrl, null);
+  await assert.rejects(parseFeedItems("news-sitemap", RSS), /Not a sitemap/);
+});
+
+test("unknown feed types are rejected", async () => {
+  await assert.rejects(parseFeedItems("podcast", RSS), /Unknown feed type: podcast/);
+});
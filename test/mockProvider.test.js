@@ -0,0 +1,70 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+// A sentence of nine Telugu words; summaries are built from it to land in or past the word range.
+const SENTENCE = "రాష్ట్ర ప్రభుత్వం కొత్త పథకాన్ని ప్రకటించింది ప్రజలకు త్వరలో ప్రయోజనం అందుతుంది.";
+const summaryOf = (sentences) => Array(sentences).fill(SENTENCE).join(" ");
+const valid = { title: "కొత్త పథకం ప్రకటన", summary: summaryOf(8), category: "Politics", slug_en: "new scheme announced" };
+
+const FIXTURES = [
+  { match: "MOCK_TEST_VALID", response: valid },
+  { match: "MOCK_TEST_FENCED", response: "```json\n" + JSON.stringify(valid) + "\n```" },
+  // Cut off mid-string, as a response that hit the token limit is
+  { match: "MOCK_TEST_TRUNCATED", response: JSON.stringify(valid).slice(0, -"announced\"}".length - 1) },
+  { match: "MOCK_TEST_TOO_LONG", response: { ...valid, summary: summaryOf(10) } },
+  { match: "MOCK_TEST_ENGLISH", response: { ...valid, title: "New scheme announced by the state government" } },
+];
+
+let fixturesFile;
+let runRewrite;
+
+// The provider is picked from the environment when the config module loads, so set it first
+before(async () => {
+  fixturesFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "llm-mock-")), "fixtures.json");
+  fs.writeFileSync(fixturesFile, JSON.stringify(FIXTURES));
+  process.env.LLM_PROVIDER = "mock";
+  process.env.LLM_MOCK_FIXTURES = fixturesFile;
+  ({ runRewrite } = await import("../src/services/aiService.js"));
+});
+
+after(() => fs.rmSync(path.dirname(fixturesFile), { recursive: true, force: true }));
+
+const rewrite = (text) => runRewrite(text, null, { scrapedContext: null });
+
+test("runRewrite returns the matching fixture through the mock provider", async () => {
+  const result = await rewrite("MOCK_TEST_VALID story");
+  assert.equal(result.error, null);
+  assert.equal(result.model, "mock:fixtures");
+  assert.equal(result.attempts, 1);
+  assert.equal(result.data.title, valid.title);
+  assert.equal(result.data.category, "Politics");
+});
+
+test("fenced and truncated fixture responses are repaired into valid output", async () => {
+  assert.equal((await rewrite("MOCK_TEST_FENCED story")).data.slug_en, "new scheme announced");
+  assert.equal((await rewrite("MOCK_TEST_TRUNCATED story")).data.slug_en, "new scheme");
+});
+
+test("an over-long summary is trimmed to whole sentences once repairs run out", async () => {
+  const result = await rewrite("MOCK_TEST_TOO_LONG story");
+  assert.equal(result.error, null);
+  assert.equal(result.data.summary, summaryOf(8));
+});
+
+test("output that stays invalid is reported with its errors after the repair attempts", async () => {
+  const result = await rewrite("MOCK_TEST_ENGLISH story");
+  assert.equal(result.data, null);
+  assert.equal(result.error, "Validation failed");
+  assert.ok(result.attempts > 1);
+  assert.deepEqual(result.errors, ["title must be written in Telugu, not English"]);
+});
+
+test("prompts without a fixture get deterministic valid output", async () => {
+  const first = await rewrite("Some unrelated story text");
+  const second = await rewrite("Some unrelated story text");
+  assert.equal(first.error, null);
+  assert.deepEqual(first.data, second.data);
+});
@@ -0,0 +1,37 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildOpml, parseOpml, feedUrlKey } from "../src/services/opmlService.js";
+
+test("buildOpml output parses back to the same sources", () => {
+  const sources = [
+    { name: "Eenadu <AP>", url: "https://www.eenadu.net/rss?a=1&b=2", type: "rss", category: "News/AP", isActive: true },
+    { name: "Sitemap", url: "https://example.com/news-sitemap.xml", type: "news-sitemap", category: "News/AP", isActive: false },
+    { name: "Uncategorised", url: "https://example.com/feed.json", type: "jsonfeed", category: null, isActive: true },
+  ];
+  const parsed = parseOpml(buildOpml(sources));
+  assert.deepEqual(
+    parsed.sort((a, b) => a.name.localeCompare(b.name)),
+    [...sources].sort((a, b) => a.name.localeCompare(b.name))
+  );
+});
+
+test("parseOpml takes the category from nested folders and defaults unknown types to rss", () => {
+  const xml = `<opml version="1.0"><body>
+    <outline text="News"><outline text="Telangana">
+      <outline text="Feed" xmlurl="https://example.com/rss" type="rss" />
+    </outline></outline>
+    <outline title="Podcast" xmlUrl="https://example.com/pod" type="podcast" />
+    <outline text="Folder only" />
+  </body></opml>`;
+  assert.deepEqual(parseOpml(xml), [
+    { name: "Feed", url: "https://example.com/rss", type: "rss", category: "News/Telangana", isActive: true },
+    { name: "Podcast", url: "https://example.com/pod", type: "rss", category: null, isActive: true },
+  ]);
+  assert.throws(() => parseOpml("<rss></rss>"), /Not an OPML document/);
+});
+
+test("feedUrlKey ignores fragments and trailing slashes and rejects non-http URLs", () => {
+  assert.equal(feedUrlKey(" https://Example.com/feed/#x "), "https://example.com/feed");
+  assert.equal(feedUrlKey("ftp://example.com/feed"), null);
+  assert.equal(feedUrlKey("nope"), null);
+});
@@ -0,0 +1,71 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseModelJson, validateRewrite, normalizeCategory, fitSummaryLength } from "../src/utils/rewriteSchema.js";
+
+// Nine Telugu words per sentence
+const SENTENCE = "రాష్ట్ర ప్రభుత్వం కొత్త పథకాన్ని ప్రకటించింది ప్రజలకు త్వరలో ప్రయోజనం అందుతుంది.";
+const summaryOf = (sentences) => Array(sentences).fill(SENTENCE).join(" ");
+const valid = { title: "కొత్త పథకం ప్రకటన", summary: summaryOf(8), category: "Politics", slug_en: "new scheme announced" };
+
+test("parseModelJson strips markdown fences and surrounding prose", () => {
+  assert.deepEqual(parseModelJson('```json\n{"a": 1}\n```'), { data: { a: 1 }, repaired: true, error: null });
+  assert.deepEqual(parseModelJson('Here you go: {"a": 1} Hope this helps').data, { a: 1 });
+  assert.deepEqual(parseModelJson('{"a": 1}'), { data: { a: 1 }, repaired: false, error: null });
+});
+
+test("parseModelJson closes truncated output", () => {
+  assert.deepEqual(parseModelJson('{"title": "శీర్షిక", "summary": "సగం వా').data, { title: "శీర్షిక", summary: "సగం వా" });
+  assert.deepEqual(parseModelJson('{"title": "శీర్షిక", "entities": [{"name_en": "KTR"}, ').data, { title: "శీర్షిక", entities: [{ name_en: "KTR" }] });
+  assert.deepEqual(parseModelJson('{"title": "శీర్షిక", "slug_en":').data, { title: "శీర్షిక" });
+  assert.deepEqual(parseModelJson('{"quote": "he said \\"stop'), { data: { quote: 'he said "stop' }, repaired: true, error: null });
+});
+
+test("parseModelJson reports empty and non-JSON responses", () => {
+  assert.equal(parseModelJson("").error, "Empty response");
+  assert.equal(parseModelJson(null).error, "Empty response");
+  assert.equal(parseModelJson("I cannot help with that").error, "No JSON object in response");
+});
+
+test("validateRewrite accepts a valid rewrite and normalises it", () => {
+  const result = validateRewrite({ ...valid, slug_en: " New Scheme Announced ", category: "cricket" });
+  assert.deepEqual(result.errors, []);
+  assert.equal(result.value.slug_en, "new scheme announced");
+  assert.equal(result.value.category, "Sports");
+  assert.deepEqual(result.value.entities, []);
+});
+
+test("validateRewrite allows Latin acronyms in a Telugu title but not English titles", () => {
+  assert.deepEqual(validateRewrite({ ...valid, title: "IPL: RCB vs CSK — ధోనీ మెరుపులు" }).errors, []);
+  assert.deepEqual(validateRewrite({ ...valid, title: "YSRCP నేతల ఆందోళన" }).errors, []);
+  const english = "title must be written in Telugu, not English";
+  assert.deepEqual(validateRewrite({ ...valid, title: "Dhoni shines as CSK beat RCB" }).errors, [english]);
+  assert.deepEqual(validateRewrite({ ...valid, title: "IPL RCB CSK" }).errors, [english]);
+});
+
+test("validateRewrite lists every problem", () => {
+  assert.deepEqual(validateRewrite([]).errors, ["Output is not a JSON object"]);
+  const { valid: ok, errors } = validateRewrite({ summary: summaryOf(2), category: "Gossip", slug_en: "నా స్లగ్" });
+  assert.equal(ok, false);
+  assert.equal(errors[0], "title is missing");
+  assert.match(errors[1], /^summary has 18 words; it must be 60-75 words \(add a key detail\)$/);
+  assert.match(errors[2], /^category "Gossip" is not one of: /);
+  assert.equal(errors[3], "slug_en must be plain English words");
+  assert.match(validateRewrite({ ...valid, summary: summaryOf(9) }).errors[0], /81 words.*remove the least important sentence/);
+  assert.deepEqual(validateRewrite({ ...valid, slug_en: "a" }).errors, ["slug_en is missing"]);
+});
+
+test("normalizeCategory matches case-insensitively and through aliases", () => {
+  assert.equal(normalizeCategory("POLITICS"), "Politics");
+  assert.equal(normalizeCategory("movies"), "Cinema");
+  assert.equal(normalizeCategory("astrology"), null);
+  assert.equal(normalizeCategory(undefined), null);
+});
+
+test("fitSummaryLength drops trailing sentences only while the summary stays in range", () => {
+  assert.equal(fitSummaryLength(summaryOf(10)), summaryOf(8));
+  // One long sentence has no boundary to cut at
+  assert.equal(fitSummaryLength(SENTENCE.replace(".", " ").repeat(10)), null);
+  // Three 27-word sentences: 81 words, and dropping one leaves 54, below the minimum
+  const longSentence = Array(3).fill(SENTENCE.replace(".", "")).join(" ") + ".";
+  assert.equal(fitSummaryLength(Array(3).fill(longSentence).join(" ")), null);
+});
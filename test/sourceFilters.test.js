@@ -0,0 +1,40 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { evaluateFilters, isValidPattern } from "../src/utils/sourceFilters.js";
+
+test("isValidPattern accepts empty and valid regexes only", () => {
+  assert.equal(isValidPattern(""), true);
+  assert.equal(isValidPattern("^live\\b"), true);
+  assert.equal(isValidPattern("(unclosed"), false);
+});
+
+test("evaluateFilters passes everything without filters", () => {
+  assert.equal(evaluateFilters(null, { title: "anything" }), null);
+  assert.equal(evaluateFilters({}, { title: "anything" }), null);
+});
+
+test("keywords match on word prefixes and across Telugu/English spellings", () => {
+  const filters = { excludeKeywords: ["horoscope"], includeKeywords: ["TDP"] };
+  assert.match(evaluateFilters(filters, { title: "Daily horoscopes for Leo" }), /excluded keyword "horoscope"/);
+  assert.equal(evaluateFilters(filters, { title: "టీడీపీ నేతల సమావేశం" }), null);
+  assert.equal(evaluateFilters(filters, { title: "Congress rally" }), "Title has none of the include keywords");
+  // Prefix only at word starts: "shoroscope" is not "horoscope"
+  assert.equal(evaluateFilters({ excludeKeywords: ["horoscope"] }, { title: "shoroscope" }), null);
+});
+
+test("title and URL patterns are case-insensitive; URL patterns see only the path", () => {
+  assert.match(evaluateFilters({ excludeTitlePattern: "^live" }, { title: "LIVE: score updates" }), /Title matches/);
+  assert.match(evaluateFilters({ titlePattern: "election" }, { title: "Cricket" }), /does not match/);
+  assert.match(evaluateFilters({ excludeUrlPatterns: ["/web-stories/"] }, { title: "x", url: "https://a.com/web-stories/x" }), /URL matches/);
+  assert.equal(evaluateFilters({ excludeUrlPatterns: ["a\\.com"] }, { title: "x", url: "https://a.com/news/x" }), null);
+});
+
+test("categories, content length and language", () => {
+  assert.match(evaluateFilters({ excludeCategories: ["Astrology"] }, { title: "x", categories: ["astrology"] }), /Category "astrology"/);
+  assert.match(evaluateFilters({ minContentLength: 20 }, { title: "short", text: "" }), /Content too short \(5 < 20 chars\)/);
+  assert.match(evaluateFilters({ languages: ["te"] }, { title: "English only headline" }), /Language "en" not allowed/);
+  assert.equal(evaluateFilters({ languages: ["te"] }, { title: "తెలుగు వార్తలు" }), null);
+  assert.equal(evaluateFilters({ languages: ["te"] }, { title: "English", lang: "te" }), null);
+  // Nothing to detect from: don't reject
+  assert.equal(evaluateFilters({ languages: ["te"] }, { title: "123" }), null);
+});
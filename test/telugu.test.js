@@ -0,0 +1,73 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  splitWords,
+  countWords,
+  splitSentences,
+  splitGraphemes,
+  truncateGraphemes,
+  truncateWords,
+  transliterate,
+  detectLanguage,
+} from "../src/utils/telugu.js";
+
+const VIRAMA = "\u0C4D";
+const ZWNJ = "\u200C";
+
+test("conjuncts count as one grapheme", () => {
+  assert.deepEqual(splitGraphemes("క్ష"), ["క్ష"]);
+  assert.deepEqual(splitGraphemes("స్త్రీ"), ["స్త్రీ"]);
+  assert.equal(splitGraphemes("లక్ష్మి").length, 2);
+  assert.deepEqual(splitGraphemes(""), []);
+});
+
+test("truncateGraphemes never splits a conjunct or ends on a virama", () => {
+  assert.equal(truncateGraphemes("లక్ష్మి దేవి ఆలయం", 2), "లక్ష్మి");
+  assert.equal(truncateGraphemes("పార్టీ", 1), "పా");
+  // An explicit half-form (consonant + virama + ZWNJ) is a grapheme of its own; it is not kept dangling
+  assert.equal(truncateGraphemes(`క${VIRAMA}${ZWNJ}షణం`, 1), "");
+  for (let max = 1; max < 12; max++) {
+    const cut = truncateGraphemes("స్త్రీ శక్తి పథకం ప్రారంభం", max);
+    assert.ok(!cut.endsWith(VIRAMA), `ends on a virama at ${max}`);
+    assert.ok(splitGraphemes(cut).length <= max);
+  }
+});
+
+test("truncateGraphemes prefers a nearby word boundary and leaves short text alone", () => {
+  assert.equal(truncateGraphemes("మంత్రి కేటీఆర్ పర్యటన వివరాలు", 12, { ellipsis: "…" }), "మంత్రి కేటీఆర్ పర్యటన…");
+  assert.equal(truncateGraphemes("abc", 5, { ellipsis: "…" }), "abc");
+  assert.equal(truncateGraphemes(null, 5), "");
+});
+
+test("words in mixed Telugu, English and numerals", () => {
+  // Punctuation-only tokens are not words; a full stop glued to the next word still separates them
+  assert.deepEqual(splitWords("KTR, 2024లో 5 కోట్లు | - ఖర్చు చేశారు.అయితే"), ["KTR,", "2024లో", "5", "కోట్లు", "ఖర్చు", "చేశారు.", "అయితే"]);
+  assert.equal(countWords("స్త్రీ శక్తి"), 2);
+  assert.equal(countWords("  "), 0);
+  assert.equal(truncateWords("మొదటి రెండవ, మూడవ నాల్గవ", 2, { ellipsis: "…" }), "మొదటి రెండవ…");
+  assert.equal(truncateWords("ఒకటి రెండు", 5), "ఒకటి రెండు");
+});
+
+test("sentences split on Latin and Indic full stops, including glued ones", () => {
+  assert.deepEqual(splitSentences("ఆయన చెప్పారు.అయితే నిజం కాదు! Really? Yes । 2 పథకాలు."), [
+    "ఆయన చెప్పారు.",
+    "అయితే నిజం కాదు!",
+    "Really?",
+    "Yes ।",
+    "2 పథకాలు.",
+  ]);
+  assert.deepEqual(splitSentences("... !"), []);
+});
+
+test("detectLanguage goes by the dominant script", () => {
+  assert.equal(detectLanguage("స్త్రీ శక్తి పథకం ప్రారంభం"), "te");
+  assert.equal(detectLanguage("CM launches scheme in హైదరాబాద్"), "en");
+  assert.equal(detectLanguage("KTR పర్యటన"), "te");
+  assert.equal(detectLanguage("123 🎉"), null);
+  assert.equal(detectLanguage(null), null);
+});
+
+test("transliterate handles conjuncts and Telugu digits", () => {
+  assert.equal(transliterate("శ్రీ లక్ష్మి ౨౦౨౪"), "shrii lakshmi 2024");
+  assert.equal(transliterate("క్ష"), "ksha");
+});
@@ -0,0 +1,97 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { shapeTweets, extractTweetId, extractTweetMedia } from "../src/utils/tweets.js";
+
+const author = { userName: "TeluguNews" };
+const tweet = (id, fields = {}) => ({ id, text: `tweet ${id}`, author, ...fields });
+
+test("shapeTweets stitches the handle's self-reply thread into one item, oldest first", () => {
+  const timeline = [
+    tweet("1003", { conversationId: "1001", isReply: true, inReplyToId: "1002", inReplyToUsername: "telugunews" }),
+    tweet("1002", { conversationId: "1001", isReply: true, inReplyToId: "1001", inReplyToUsername: "TeluguNews" }),
+    tweet("1001", { conversationId: "1001" }),
+  ];
+  const { items, skipped } = shapeTweets(timeline, "TeluguNews");
+  assert.equal(skipped.length, 0);
+  assert.equal(items.length, 1);
+  assert.equal(items[0].tweet.id, "1001");
+  assert.deepEqual(items[0].partIds, ["1002", "1003"]);
+  assert.equal(items[0].threadId, "1001");
+  assert.equal(items[0].text, "tweet 1001\n\ntweet 1002\n\ntweet 1003");
+});
+
+test("shapeTweets keeps thread parts separate when stitching is off", () => {
+  const timeline = [tweet("1002", { conversationId: "1001", isReply: true, inReplyToUsername: "TeluguNews" }), tweet("1001", { conversationId: "1001" })];
+  const { items } = shapeTweets(timeline, "TeluguNews", { stitchThreads: false });
+  assert.deepEqual(items.map((i) => i.tweet.id), ["1002", "1001"]);
+});
+
+test("shapeTweets skips replies to others unless skipReplies is off", () => {
+  const reply = tweet("2001", { isReply: true, inReplyToUsername: "someone" });
+  assert.deepEqual(shapeTweets([reply], "TeluguNews").skipped.map((s) => s.reason), ["Reply to @someone"]);
+  assert.equal(shapeTweets([reply], "TeluguNews", { skipReplies: false }).items.length, 1);
+});
+
+test("shapeTweets unwraps, keeps or skips retweets", () => {
+  const original = { id: "3001", text: "original", author: { userName: "other" } };
+  const retweet = tweet("3002", { text: "RT @other: original", retweeted_tweet: original });
+  assert.equal(shapeTweets([retweet], "TeluguNews").items[0].tweet, original);
+  assert.equal(shapeTweets([retweet], "TeluguNews", { retweets: "keep" }).items[0].tweet, retweet);
+  assert.deepEqual(shapeTweets([retweet], "TeluguNews", { retweets: "skip" }).skipped.map((s) => s.reason), ["Retweet"]);
+});
+
+test("shapeTweets appends quoted tweets as context when includeQuotes is on", () => {
+  const quoting = tweet("4001", { text: "Look at this", quoted_tweet: { text: "quoted text", author: { userName: "other" } } });
+  assert.equal(shapeTweets([quoting], "TeluguNews").items[0].text, "Look at this\n\nQuoting @other: quoted text");
+  assert.equal(shapeTweets([quoting], "TeluguNews", { includeQuotes: false }).items[0].text, "Look at this");
+});
+
+test("extractTweetId reads bare ids and status URLs", () => {
+  assert.equal(extractTweetId(" 1790000000000000000 "), "1790000000000000000");
+  assert.equal(extractTweetId("https://x.com/user/status/1790000000000000000?s=20"), "1790000000000000000");
+  assert.equal(extractTweetId("https://mobile.twitter.com/i/web/status/123456"), "123456");
+  assert.equal(extractTweetId("https://example.com/status/123456"), null);
+  assert.equal(extractTweetId("abc"), null);
+});
+
+const photo = (n) => ({ type: "photo", media_url_https: `https://pbs.twimg.com/media/${n}.jpg`, original_info: { width: 800, height: 600 } });
+
+test("extractTweetMedia marks several photos as a carousel and drops duplicates", () => {
+  const result = extractTweetMedia([photo("a"), photo("b"), photo("a")]);
+  assert.equal(result.type, "normal_carousel");
+  assert.equal(result.media.length, 2);
+  assert.equal(result.imageUrl, "https://pbs.twimg.com/media/a.jpg");
+  assert.equal(result.videoUrl, null);
+  assert.deepEqual(extractTweetMedia([photo("a")]).type, "normal_post");
+  assert.deepEqual(extractTweetMedia().type, "normal_post");
+});
+
+test("extractTweetMedia picks the highest-bitrate MP4 and uses the poster as the image", () => {
+  const video = {
+    type: "video",
+    media_url_https: "https://pbs.twimg.com/poster.jpg",
+    sizes: { large: { w: 1280, h: 720 } },
+    video_info: {
+      variants: [
+        { content_type: "application/x-mpegURL", url: "https://video.twimg.com/v.m3u8" },
+        { content_type: "video/mp4", bitrate: 832000, url: "https://video.twimg.com/low.mp4" },
+        { content_type: "video/mp4", bitrate: 2176000, url: "https://video.twimg.com/high.mp4" },
+      ],
+    },
+  };
+  const result = extractTweetMedia([video]);
+  assert.equal(result.type, "normal_video");
+  assert.equal(result.videoUrl, "https://video.twimg.com/high.mp4");
+  assert.equal(result.imageUrl, "https://pbs.twimg.com/poster.jpg");
+  assert.deepEqual(result.media[0], { mediaType: "video", url: "https://video.twimg.com/high.mp4", posterUrl: "https://pbs.twimg.com/poster.jpg", width: 1280, height: 720 });
+});
+
+test("extractTweetMedia reads GIFs (single bitrate-0 variant) and skips videos without MP4s", () => {
+  const gif = { type: "animated_gif", media_url_https: "https://pbs.twimg.com/gif.jpg", video_info: { variants: [{ content_type: "video/mp4", bitrate: 0, url: "https://video.twimg.com/gif.mp4" }] } };
+  const noMp4 = { type: "video", video_info: { variants: [{ content_type: "application/x-mpegURL", url: "https://video.twimg.com/v.m3u8" }] } };
+  const result = extractTweetMedia([noMp4, gif, photo("a")]);
+  assert.deepEqual(result.media.map((m) => m.mediaType), ["gif", "image"]);
+  assert.equal(result.type, "normal_video");
+  assert.equal(result.videoUrl, "https://video.twimg.com/gif.mp4");
+  assert.equal(result.imageUrl, "https://pbs.twimg.com/media/a.jpg");
+});